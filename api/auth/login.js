@@ -0,0 +1,4 @@
+import { vercelHandler } from '../../utils/services/http.js';
+import { loginRoute } from '../../utils/services/auth.js';
+
+export default vercelHandler({ POST: loginRoute });
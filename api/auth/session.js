@@ -0,0 +1,4 @@
+import { vercelHandler } from '../../utils/services/http.js';
+import { sessionRoute } from '../../utils/services/auth.js';
+
+export default vercelHandler({ GET: sessionRoute });
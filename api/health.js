@@ -0,0 +1,4 @@
+import { vercelHandler } from '../utils/services/http.js';
+import { healthRoute } from '../utils/services/status.js';
+
+export default vercelHandler({ GET: healthRoute });
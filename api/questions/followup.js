@@ -0,0 +1,4 @@
+import { vercelHandler } from '../../utils/services/http.js';
+import { followupRoute } from '../../utils/services/questions.js';
+
+export default vercelHandler({ POST: followupRoute });
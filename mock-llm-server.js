@@ -0,0 +1,85 @@
+// mock-llm-server.js - offline stand-in for Cohere and OpenAI-compatible LLM APIs
+//
+// Serves the deterministic replies from utils/llm/mock.js over HTTP so the
+// real adapters (timeouts, retries, JSON handling) can be exercised offline:
+//   COHERE_BASE_URL=http://localhost:11435              (Cohere adapter)
+//   LLM_PROVIDER=openai LLM_BASE_URL=http://localhost:11435/v1
+// MOCK_LLM_FAILURES=n answers the first n requests with 503 and
+// MOCK_LLM_DELAY_MS delays every reply, to try the retry and timeout paths.
+
+import http from 'http';
+import { complete, model } from './utils/llm/mock.js';
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 11435;
+const DELAY_MS = Number(process.env.MOCK_LLM_DELAY_MS) || 0;
+let failuresLeft = Number(process.env.MOCK_LLM_FAILURES) || 0;
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    return raw ? JSON.parse(raw) : {};
+}
+
+// Cohere v1 /chat
+async function cohereChat(body) {
+    const reply = await complete({ prompt: String(body.message || ''), system: body.preamble, schema: body.response_format?.schema || null });
+    return {
+        response_id: `mock-${Date.now()}`,
+        text: reply.text,
+        finish_reason: 'COMPLETE',
+        meta: { billed_units: { input_tokens: reply.usage.inputTokens, output_tokens: reply.usage.outputTokens } }
+    };
+}
+
+// OpenAI /chat/completions
+async function openaiChat(body) {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const reply = await complete({
+        prompt: messages.filter(m => m.role === 'user').map(m => m.content).join('\n\n'),
+        system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+        schema: body.response_format?.json_schema?.schema || null
+    });
+    return {
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model(),
+        choices: [{ index: 0, message: { role: 'assistant', content: reply.text }, finish_reason: 'stop' }],
+        usage: {
+            prompt_tokens: reply.usage.inputTokens,
+            completion_tokens: reply.usage.outputTokens,
+            total_tokens: reply.usage.inputTokens + reply.usage.outputTokens
+        }
+    };
+}
+
+const routes = {
+    'POST /v1/chat': cohereChat,
+    'POST /v1/chat/completions': openaiChat,
+    'GET /v1/models': async () => ({ object: 'list', data: [{ id: model(), object: 'model', owned_by: 'mock' }] })
+};
+
+http.createServer(async (req, res) => {
+    const route = routes[`${req.method} ${req.url.split('?')[0].replace(/\/+$/, '')}`];
+    console.log(`${req.method} ${req.url}`);
+    if (!route) return send(res, 404, { message: 'Not found' });
+
+    if (DELAY_MS) await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    if (req.method === 'POST' && failuresLeft > 0) {
+        failuresLeft--;
+        return send(res, 503, { message: 'Mock outage (MOCK_LLM_FAILURES)' });
+    }
+
+    try {
+        send(res, 200, await route(req.method === 'POST' ? await readJson(req) : {}));
+    } catch (error) {
+        send(res, 400, { message: `Bad request: ${error.message}` });
+    }
+}).listen(PORT, () => {
+    console.log(`Mock LLM server listening on http://localhost:${PORT} (model ${model()})`);
+});
@@ -1,24 +1,71 @@
 /* InterviewLabs - Smart Interview Analyzer */
 
+const ANALYSIS_STAGES = [
+    ['upload', 'Upload'],
+    ['audio-extraction', 'Audio extraction'],
+    ['transcription', 'Transcription'],
+    ['analysis', 'Analysis']
+];
+const PENDING_JOB_KEY = 'interviewlabs_pending_job';
+// Live transcription of guided answers, used to ask follow-up questions
+const SpeechRecognitionApi = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+// Answers shorter than this are not worth probing
+const MIN_FOLLOWUP_ANSWER_WORDS = 5;
+// The server analyzes at most this many questions per recording (MAX_QUESTIONS in utils/analysis/index.js)
+const MAX_QUESTIONS = 20;
+const FOLLOWUP_TIMEOUT_MS = 10000;
+
+// Seconds -> "m:ss", matching the timestamps in the analysis
+function formatTime(seconds) {
+    const safe = Math.max(0, Number(seconds) || 0);
+    return `${Math.floor(safe / 60)}:${String(Math.floor(safe % 60)).padStart(2, '0')}`;
+}
+
+// First "m:ss" (or "h:mm:ss") in a label -> seconds, or null
+function parseTimestamp(text) {
+    const match = /(\d+):(\d{2})(?::(\d{2}))?/.exec(text || '');
+    if (!match) return null;
+    const [, a, b, c] = match;
+    return c === undefined ? Number(a) * 60 + Number(b) : Number(a) * 3600 + Number(b) * 60 + Number(c);
+}
+
+// Model and transcript text goes into innerHTML, so it must not be read as markup
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 class InterviewApp {
     constructor() {
         this.currentUser = null;
         this.currentField = '';
         this.questions = [];
+        // Category/difficulty of each question, when the server reports them
+        this.questionDetails = [];
         this.currentVideo = null;
         this.mediaRecorder = null;
         this.mediaStream = null;
         this.recordedChunks = [];
-        
-        // Simple user storage (simulates a database)
-        this.users = JSON.parse(localStorage.getItem('interviewlabs_users') || '[]');
+        this.recordingStartedAt = null;
+        // Seconds into the recording where each answer after the first begins
+        this.questionMarkers = [];
+        this.tokenRefreshTimer = null;
+        this.historyPage = 1;
+        this.progressField = '';
+        this.refreshInFlight = null;
+        // Object URL of the local recording shown in the replay card
+        this.playbackObjectUrl = null;
+        // Guided interview state while one is running: current question, phase and its deadline
+        this.guided = null;
+
+        // Accounts used to live in localStorage with plaintext passwords
+        localStorage.removeItem('interviewlabs_users');
         
         this.init();
     }
 
     async init() {
         // Check authentication
-        this.checkAuth();
+        await this.checkAuth();
         
         // Setup event listeners
         this.setupEventListeners();
@@ -27,27 +74,95 @@ class InterviewApp {
         if (this.currentUser) {
             this.showApp();
             this.loadUserData();
+            this.resumePendingAnalysis();
         } else {
             this.showAuth();
         }
     }
 
-    // Enhanced checkAuth with debug info
-    checkAuth() {
+    // The server session decides who is signed in; an expired access token is refreshed once
+    async checkAuth() {
         this.showUserDebugInfo();
         
-        const userData = localStorage.getItem('interviewlabs_user');
-        if (userData) {
-            try {
-                this.currentUser = JSON.parse(userData);
+        try {
+            let response = await fetch('/api/auth/session');
+            if (response.status === 401 && await this.refreshAuth()) {
+                response = await fetch('/api/auth/session');
+            }
+
+            if (response.ok) {
+                const data = await response.json();
+                this.setCurrentUser(data.user);
+                this.scheduleTokenRefresh(data.expiresAt);
                 console.log('User found:', this.currentUser.email);
-            } catch (e) {
-                console.error('Invalid user data in localStorage');
-                localStorage.removeItem('interviewlabs_user');
+                return;
             }
-        } else {
-            console.log('No user found in localStorage');
+            console.log('No active session');
+        } catch (error) {
+            console.error('Session check failed:', error);
+        }
+
+        this.currentUser = null;
+        localStorage.removeItem('interviewlabs_user');
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+        this.historyPage = 1;
+        localStorage.setItem('interviewlabs_user', JSON.stringify(this.currentUser));
+    }
+
+    // Resolves true when the refresh cookie was exchanged for a new access token
+    refreshAuth() {
+        if (!this.refreshInFlight) {
+            this.refreshInFlight = fetch('/api/auth/refresh', { method: 'POST' })
+                .then(async (response) => {
+                    if (!response.ok) return false;
+                    const data = await response.json();
+                    this.scheduleTokenRefresh(data.expiresAt);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshInFlight = null;
+                });
+        }
+        return this.refreshInFlight;
+    }
+
+    // Refresh a minute before the access token runs out so requests never hit an expired token
+    scheduleTokenRefresh(expiresAt) {
+        clearTimeout(this.tokenRefreshTimer);
+        if (!expiresAt) return;
+
+        const delay = Math.max(0, new Date(expiresAt).getTime() - Date.now() - 60 * 1000);
+        this.tokenRefreshTimer = setTimeout(async () => {
+            if (!(await this.refreshAuth())) this.handleSessionExpired();
+        }, delay);
+    }
+
+    // fetch for authenticated endpoints: one refresh-and-retry on 401, then back to sign-in
+    async apiFetch(url, options = {}) {
+        let response = await fetch(url, options);
+        if (response.status !== 401) return response;
+
+        if (await this.refreshAuth()) {
+            response = await fetch(url, options);
+            if (response.status !== 401) return response;
         }
+
+        this.handleSessionExpired();
+        throw new Error('Your session has expired - please sign in again');
+    }
+
+    handleSessionExpired() {
+        if (!this.currentUser) return;
+
+        clearTimeout(this.tokenRefreshTimer);
+        this.currentUser = null;
+        localStorage.removeItem('interviewlabs_user');
+        this.showAuth();
+        this.showNotification('Your session has expired - please sign in again', 'info');
     }
 
     // Add debug function for user info
@@ -132,6 +247,10 @@ class InterviewApp {
         // Analyze video
         const analyzeBtn = document.getElementById('analyzeVideoBtn');
         if (analyzeBtn) analyzeBtn.addEventListener('click', () => this.analyzeVideo());
+
+        // Progress dashboard field filter
+        const progressField = document.getElementById('progressField');
+        if (progressField) progressField.addEventListener('change', () => this.loadProgress(progressField.value));
     }
 
     setupRecordingEvents() {
@@ -144,9 +263,32 @@ class InterviewApp {
         // Recording controls
         const startRecordBtn = document.getElementById('startRecordBtn');
         const stopRecordBtn = document.getElementById('stopRecordBtn');
+        const nextQuestionBtn = document.getElementById('nextQuestionBtn');
         
         if (startRecordBtn) startRecordBtn.addEventListener('click', () => this.startRecording());
         if (stopRecordBtn) stopRecordBtn.addEventListener('click', () => this.stopRecording());
+        if (nextQuestionBtn) nextQuestionBtn.addEventListener('click', () => this.markNextQuestion());
+
+        // Guided interview controls
+        const startGuidedBtn = document.getElementById('startGuidedBtn');
+        const guidedNextBtn = document.getElementById('guidedNextBtn');
+        const stopGuidedBtn = document.getElementById('stopGuidedBtn');
+
+        if (startGuidedBtn) startGuidedBtn.addEventListener('click', () => this.startGuidedInterview());
+        if (guidedNextBtn) guidedNextBtn.addEventListener('click', () => this.advanceGuidedInterview());
+        if (stopGuidedBtn) stopGuidedBtn.addEventListener('click', () => this.finishGuidedInterview());
+
+        const guidedSpeak = document.getElementById('guidedSpeak');
+        if (guidedSpeak && !('speechSynthesis' in window)) {
+            guidedSpeak.checked = false;
+            guidedSpeak.disabled = true;
+        }
+        const guidedFollowups = document.getElementById('guidedFollowups');
+        if (guidedFollowups && !SpeechRecognitionApi) {
+            guidedFollowups.checked = false;
+            guidedFollowups.disabled = true;
+            guidedFollowups.parentElement.title = 'Follow-up questions need live speech recognition, which this browser does not support';
+        }
 
         // File upload
         const browseFileBtn = document.getElementById('browseFileBtn');
@@ -247,61 +389,34 @@ class InterviewApp {
         submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
         submitBtn.disabled = true;
 
-        // Simulate API delay
-        setTimeout(() => {
-            try {
-                if (isSignUp) {
-                    // Sign up logic
-                    const existingUser = this.users.find(u => u.email === email);
-                    if (existingUser) {
-                        this.showNotification('An account with this email already exists', 'error');
-                        return;
-                    }
-
-                    // Create new user
-                    const newUser = {
-                        id: Date.now(),
-                        name: name,
-                        email: email,
-                        password: password, // In production, hash this!
-                        joinDate: new Date().toISOString(),
-                        sessions: []
-                    };
-
-                    this.users.push(newUser);
-                    localStorage.setItem('interviewlabs_users', JSON.stringify(this.users));
-                    
-                    this.currentUser = newUser;
-                    this.showNotification('Welcome to InterviewLabs!', 'success');
-                    
-                } else {
-                    // Sign in logic
-                    const user = this.users.find(u => u.email === email && u.password === password);
-                    if (!user) {
-                        this.showNotification('Invalid email or password', 'error');
-                        return;
-                    }
-
-                    // Load user's sessions
-                    user.sessions = JSON.parse(localStorage.getItem(`interviewlabs_sessions_${email}`) || '[]');
-                    this.currentUser = user;
-                    this.showNotification('Welcome back to the lab!', 'success');
-                }
+        try {
+            const response = await fetch(isSignUp ? '/api/auth/register' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(isSignUp ? { name, email, password } : { email, password })
+            });
+            const data = await response.json().catch(() => ({}));
 
-                // Save current user and show app
-                localStorage.setItem('interviewlabs_user', JSON.stringify(this.currentUser));
-                this.hideAuth();
-                this.showApp();
-                this.loadUserData();
-
-            } catch (error) {
-                console.error('Auth error:', error);
-                this.showNotification('Authentication failed. Please try again.', 'error');
-            } finally {
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
+            if (!response.ok) {
+                this.showNotification(data.error || 'Authentication failed. Please try again.', 'error');
+                return;
             }
-        }, 1000);
+
+            this.setCurrentUser(data.user);
+            this.scheduleTokenRefresh(data.expiresAt);
+            this.showNotification(isSignUp ? 'Welcome to InterviewLabs!' : 'Welcome back to the lab!', 'success');
+
+            this.hideAuth();
+            this.showApp();
+            this.loadUserData();
+
+        } catch (error) {
+            console.error('Auth error:', error);
+            this.showNotification('Authentication failed. Please try again.', 'error');
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
     }
 
     showAuth() {
@@ -325,7 +440,14 @@ class InterviewApp {
         if (userName && this.currentUser) userName.textContent = this.currentUser.name;
     }
 
-    logout() {
+    async logout() {
+        clearTimeout(this.tokenRefreshTimer);
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.warn('Logout request failed:', error);
+        }
+
         localStorage.removeItem('interviewlabs_user');
         this.currentUser = null;
         this.showAuth();
@@ -339,21 +461,9 @@ class InterviewApp {
     loadUserData() {
         if (!this.currentUser) return;
         
-        const sessions = this.currentUser.sessions || [];
-        
-        // Update stats
-        const totalSessions = document.getElementById('totalSessions');
-        const avgScore = document.getElementById('avgScore');
-        
-        if (totalSessions) totalSessions.textContent = sessions.length;
-        
-        if (sessions.length > 0 && avgScore) {
-            const average = (sessions.reduce((acc, s) => acc + s.rating, 0) / sessions.length).toFixed(1);
-            avgScore.textContent = average;
-        }
-
-        // Load history
-        this.loadHistory();
+        // History, its stats and the progress dashboard come from the server
+        this.loadHistory(1);
+        this.loadProgress();
     }
 
     switchTab(tabName) {
@@ -396,8 +506,20 @@ class InterviewApp {
         }
 
         try {
+            const payload = { field, count: parseInt(count) };
+            const controlValue = (id) => (document.getElementById(id)?.value || '').trim();
+            // Only send the controls that were set, so "Any" leaves the server defaults alone
+            for (const [key, id] of [
+                ['seniority', 'questionSeniority'],
+                ['difficulty', 'questionDifficulty'],
+                ['mix', 'questionMix'],
+                ['jobDescription', 'jobDescription'],
+                ['resume', 'resumeText']
+            ]) {
+                if (controlValue(id)) payload[key] = controlValue(id);
+            }
+
             console.log('Making API request to /api/questions');
-            console.log('Request payload:', { field, count: parseInt(count) });
             
             const response = await fetch('/api/questions', {
                 method: 'POST',
@@ -405,13 +527,14 @@ class InterviewApp {
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
-                body: JSON.stringify({ field, count: parseInt(count) })
+                body: JSON.stringify(payload)
             });
 
             console.log('Response status:', response.status);
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
             }
             
             const data = await response.json();
@@ -419,8 +542,12 @@ class InterviewApp {
             
             if (data.questions && data.questions.length > 0) {
                 this.questions = data.questions;
+                this.questionDetails = data.items || [];
                 this.renderQuestions();
-                this.showNotification(`Generated ${data.questions.length} lab questions successfully! (${data.source})`, 'success');
+                const loosened = data.relaxed && data.relaxed.length > 0
+                    ? ` Too few questions matched your filters, so the ${data.relaxed.join(' and ')} filter${data.relaxed.length === 1 ? ' was' : 's were'} loosened.`
+                    : '';
+                this.showNotification(`Generated ${data.questions.length} lab questions successfully! (${data.source})${loosened}`, 'success');
             } else {
                 throw new Error('No questions returned from API');
             }
@@ -442,17 +569,27 @@ class InterviewApp {
         
         if (!container || !list) return;
         
-        list.innerHTML = this.questions.map((question, index) => `
+        list.innerHTML = this.questions.map((question, index) => {
+            const details = this.questionDetails[index] || {};
+            return `
             <div class="question-item">
-                <div class="question-number">Question ${index + 1}</div>
-                <div class="question-text">${question}</div>
+                <div class="question-number">
+                    Question ${index + 1}
+                    ${details.category ? `<span class="question-tag">${escapeHtml(details.category)}</span>` : ''}
+                    ${details.difficulty ? `<span class="question-tag">${escapeHtml(details.difficulty)}</span>` : ''}
+                </div>
+                <div class="question-text">${escapeHtml(question)}</div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         container.classList.remove('hidden');
     }
 
     switchRecordMode(mode) {
+        // Leaving guided mode ends the interview, keeping what was recorded
+        if (this.guided && mode !== 'guided') this.finishGuidedInterview();
+
         // Update buttons
         document.querySelectorAll('.record-option-btn').forEach(btn => btn.classList.remove('active'));
         const targetBtn = document.querySelector(`[data-mode="${mode}"]`);
@@ -472,37 +609,57 @@ class InterviewApp {
         }
     }
 
-    async startRecording() {
-        try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                video: { width: 1280, height: 720 },
-                audio: true
-            });
+    // Starts the camera and a MediaRecorder shown in the given preview; the finished recording becomes this.currentVideo
+    async openRecorder(videoPreview) {
+        this.mediaStream = await navigator.mediaDevices.getUserMedia({
+            video: { width: 1280, height: 720 },
+            audio: true
+        });
 
-            const videoPreview = document.getElementById('videoPreview');
-            if (!videoPreview) return;
+        videoPreview.srcObject = this.mediaStream;
+        videoPreview.controls = false;
+
+        this.mediaRecorder = new MediaRecorder(this.mediaStream);
+        this.recordedChunks = [];
+
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.recordedChunks.push(e.data);
+        };
+
+        this.mediaRecorder.onstop = () => {
+            this.currentVideo = new Blob(this.recordedChunks, { type: 'video/webm' });
+            videoPreview.srcObject = null;
+            videoPreview.src = URL.createObjectURL(this.currentVideo);
+            videoPreview.controls = true;
             
-            videoPreview.srcObject = this.mediaStream;
+            const analyzeBtn = document.getElementById('analyzeVideoBtn');
+            if (analyzeBtn) analyzeBtn.disabled = false;
+            this.showNotification('Recording completed! Ready for lab analysis.', 'success');
+        };
 
-            this.mediaRecorder = new MediaRecorder(this.mediaStream);
-            this.recordedChunks = [];
+        this.mediaRecorder.start();
+        this.recordingStartedAt = Date.now();
+        this.questionMarkers = [];
+    }
 
-            this.mediaRecorder.ondataavailable = (e) => {
-                if (e.data.size > 0) this.recordedChunks.push(e.data);
-            };
+    closeRecorder() {
+        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+            this.mediaRecorder.stop();
+        }
 
-            this.mediaRecorder.onstop = () => {
-                this.currentVideo = new Blob(this.recordedChunks, { type: 'video/webm' });
-                videoPreview.srcObject = null;
-                videoPreview.src = URL.createObjectURL(this.currentVideo);
-                videoPreview.controls = true;
-                
-                const analyzeBtn = document.getElementById('analyzeVideoBtn');
-                if (analyzeBtn) analyzeBtn.disabled = false;
-                this.showNotification('Recording completed! Ready for lab analysis.', 'success');
-            };
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+        }
 
-            this.mediaRecorder.start();
+        this.recordingStartedAt = null;
+    }
+
+    async startRecording() {
+        try {
+            const videoPreview = document.getElementById('videoPreview');
+            if (!videoPreview) return;
+
+            await this.openRecorder(videoPreview);
 
             // Update UI
             const startBtn = document.getElementById('startRecordBtn');
@@ -513,6 +670,7 @@ class InterviewApp {
                 stopBtn.disabled = false;
                 startBtn.innerHTML = '<i class="fas fa-circle" style="animation: pulse 2s infinite;"></i> Recording...';
             }
+            this.updateNextQuestionButton();
 
         } catch (error) {
             console.error('Camera access failed:', error);
@@ -521,13 +679,7 @@ class InterviewApp {
     }
 
     stopRecording() {
-        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-            this.mediaRecorder.stop();
-        }
-
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
-        }
+        this.closeRecorder();
 
         // Update UI
         const startBtn = document.getElementById('startRecordBtn');
@@ -538,6 +690,313 @@ class InterviewApp {
             stopBtn.disabled = true;
             startBtn.innerHTML = '<i class="fas fa-circle"></i> Start Recording';
         }
+
+        this.updateNextQuestionButton();
+    }
+
+    // Marks where the next answer starts so the backend can split the recording per question
+    markNextQuestion() {
+        if (!this.recordingStartedAt) return;
+
+        const seconds = (Date.now() - this.recordingStartedAt) / 1000;
+        this.questionMarkers.push(Math.round(seconds * 10) / 10);
+        this.updateNextQuestionButton();
+    }
+
+    updateNextQuestionButton() {
+        const nextBtn = document.getElementById('nextQuestionBtn');
+        if (!nextBtn) return;
+
+        const total = this.questions.length;
+        const current = this.questionMarkers.length + 1;
+        const recording = !!this.recordingStartedAt;
+
+        nextBtn.disabled = !recording || current >= total;
+        nextBtn.innerHTML = recording && total > 1
+            ? `<i class="fas fa-forward"></i> Next Question (${Math.min(current + 1, total)}/${total})`
+            : '<i class="fas fa-forward"></i> Next Question';
+    }
+
+    // Guided interview: one recording, each question shown (and optionally spoken) in turn with
+    // think time and an answer countdown; a marker at every new question splits the recording
+    async startGuidedInterview() {
+        if (this.questions.length === 0) {
+            this.showNotification('Please generate questions first - the guided interview asks them one at a time', 'error');
+            this.switchTab('generate');
+            return;
+        }
+
+        const videoPreview = document.getElementById('guidedPreview');
+        if (!videoPreview) return;
+
+        // Follow-ups belong to the answers that prompted them, not to the next run
+        if (this.questionDetails.some(details => details && details.followup)) {
+            const kept = this.questions
+                .map((question, i) => [question, this.questionDetails[i] || {}])
+                .filter(([, details]) => !details.followup);
+            this.questions = kept.map(([question]) => question);
+            this.questionDetails = kept.map(([, details]) => details);
+            this.renderQuestions();
+        }
+
+        try {
+            await this.openRecorder(videoPreview);
+        } catch (error) {
+            console.error('Camera access failed:', error);
+            this.showNotification('Camera access denied. Please allow camera permissions.', 'error');
+            return;
+        }
+
+        const setting = (id) => Number(document.getElementById(id)?.value) || 0;
+        this.guided = {
+            index: 0,
+            phase: null,
+            phaseSeconds: 0,
+            deadline: null,
+            thinkSeconds: setting('guidedThinkTime'),
+            answerSeconds: setting('guidedAnswerTime') || 120,
+            speak: !!document.getElementById('guidedSpeak')?.checked && 'speechSynthesis' in window,
+            followups: !!document.getElementById('guidedFollowups')?.checked && !!SpeechRecognitionApi,
+            recognition: null,
+            answerText: '',
+            ticker: setInterval(() => this.tickGuidedInterview(), 250)
+        };
+
+        const startBtn = document.getElementById('startGuidedBtn');
+        const stopBtn = document.getElementById('stopGuidedBtn');
+        const nextBtn = document.getElementById('guidedNextBtn');
+        if (startBtn) {
+            startBtn.disabled = true;
+            startBtn.innerHTML = '<i class="fas fa-circle" style="animation: pulse 2s infinite;"></i> Recording...';
+        }
+        if (stopBtn) stopBtn.disabled = false;
+        if (nextBtn) nextBtn.disabled = false;
+        document.querySelectorAll('.guided-settings select, .guided-settings input').forEach(input => { input.disabled = true; });
+        document.getElementById('guidedPrompt')?.classList.remove('hidden');
+
+        this.askGuidedQuestion(0);
+    }
+
+    async askGuidedQuestion(index) {
+        const guided = this.guided;
+        guided.index = index;
+        // Answers after the first start where their question appears
+        if (index > 0) this.markNextQuestion();
+
+        guided.phase = 'reading';
+        guided.deadline = null;
+        this.renderGuidedPrompt();
+
+        await this.speakQuestion(this.questions[index]);
+        // Ended, or skipped ahead while the question was being read
+        if (this.guided !== guided || guided.index !== index || guided.phase !== 'reading') return;
+        this.startGuidedPhase(guided.thinkSeconds > 0 ? 'think' : 'answer');
+    }
+
+    speakQuestion(text) {
+        return new Promise(resolve => {
+            if (!this.guided || !this.guided.speak) return resolve();
+
+            window.speechSynthesis.cancel();
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.onend = () => resolve();
+            utterance.onerror = () => resolve();
+            window.speechSynthesis.speak(utterance);
+        });
+    }
+
+    startGuidedPhase(phase) {
+        const guided = this.guided;
+        guided.phase = phase;
+        guided.phaseSeconds = phase === 'think' ? guided.thinkSeconds : guided.answerSeconds;
+        guided.deadline = Date.now() + guided.phaseSeconds * 1000;
+        this.renderGuidedPrompt();
+
+        if (phase === 'answer' && guided.followups && !this.questionDetails[guided.index]?.followup) {
+            this.listenToAnswer();
+        }
+    }
+
+    // Transcribes the answer in the browser while it is given, so a follow-up can be asked right after
+    listenToAnswer() {
+        const guided = this.guided;
+        const index = guided.index;
+        guided.answerText = '';
+
+        const recognition = new SpeechRecognitionApi();
+        recognition.continuous = true;
+        recognition.interimResults = false;
+        recognition.lang = navigator.language || 'en-US';
+        recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                if (event.results[i].isFinal) guided.answerText += ` ${event.results[i][0].transcript}`;
+            }
+        };
+        // Browsers stop listening after a silence; keep going until the answer time is up
+        recognition.onend = () => {
+            if (guided.recognition === recognition && this.guided === guided && guided.index === index && guided.phase === 'answer') {
+                try {
+                    recognition.start();
+                } catch (error) {
+                    console.warn('Speech recognition could not restart:', error.message);
+                }
+            }
+        };
+        recognition.onerror = (event) => console.warn('Speech recognition error:', event.error);
+
+        guided.recognition = recognition;
+        try {
+            recognition.start();
+        } catch (error) {
+            console.warn('Speech recognition unavailable:', error.message);
+            guided.recognition = null;
+        }
+    }
+
+    stopListening() {
+        const guided = this.guided;
+        if (!guided || !guided.recognition) return;
+
+        const recognition = guided.recognition;
+        guided.recognition = null;
+        recognition.stop();
+    }
+
+    // Asks the server for a follow-up to the answer just given and queues it as the next question
+    async queueFollowup() {
+        const guided = this.guided;
+        const index = guided.index;
+        const answer = guided.answerText.trim();
+        // Follow-ups past the server's limit would never be analyzed
+        if (answer.split(/\s+/).length < MIN_FOLLOWUP_ANSWER_WORDS || this.questions.length >= MAX_QUESTIONS) return;
+
+        guided.phase = 'loading';
+        guided.deadline = null;
+        this.renderGuidedPrompt();
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), FOLLOWUP_TIMEOUT_MS);
+        try {
+            const response = await fetch('/api/questions/followup', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ question: this.questions[index], answer, field: this.currentField, count: 1 }),
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            // The interview ended while the follow-up was on its way
+            if (this.guided !== guided || !data.followups || data.followups.length === 0) return;
+            if (this.questions.length >= MAX_QUESTIONS) return;
+
+            while (this.questionDetails.length < this.questions.length) this.questionDetails.push({});
+            this.questions.splice(index + 1, 0, data.followups[0]);
+            this.questionDetails.splice(index + 1, 0, { category: 'follow-up', followup: true, source: data.source });
+            this.renderQuestions();
+        } catch (error) {
+            console.warn('Follow-up question unavailable, moving on:', error.message);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    tickGuidedInterview() {
+        const guided = this.guided;
+        if (!guided || !guided.deadline) return;
+
+        if (Date.now() >= guided.deadline) {
+            this.advanceGuidedInterview();
+        } else {
+            this.renderGuidedPrompt();
+        }
+    }
+
+    // Think time -> answer time -> next question; after the last answer the interview ends
+    async advanceGuidedInterview() {
+        const guided = this.guided;
+        if (!guided || guided.phase === 'loading') return;
+
+        if (guided.phase === 'reading' || guided.phase === 'think') {
+            if (guided.speak) window.speechSynthesis.cancel();
+            this.startGuidedPhase('answer');
+            return;
+        }
+
+        this.stopListening();
+        if (guided.followups && !this.questionDetails[guided.index]?.followup) {
+            await this.queueFollowup();
+            if (this.guided !== guided) return;
+        }
+
+        if (guided.index + 1 < this.questions.length) {
+            this.askGuidedQuestion(guided.index + 1);
+        } else {
+            this.finishGuidedInterview();
+        }
+    }
+
+    finishGuidedInterview() {
+        const guided = this.guided;
+        if (!guided) return;
+
+        clearInterval(guided.ticker);
+        if (guided.speak) window.speechSynthesis.cancel();
+        this.stopListening();
+        this.guided = null;
+        this.closeRecorder();
+
+        const startBtn = document.getElementById('startGuidedBtn');
+        const stopBtn = document.getElementById('stopGuidedBtn');
+        const nextBtn = document.getElementById('guidedNextBtn');
+        if (startBtn) {
+            startBtn.disabled = false;
+            startBtn.innerHTML = '<i class="fas fa-play"></i> Start Interview';
+        }
+        if (stopBtn) stopBtn.disabled = true;
+        if (nextBtn) nextBtn.disabled = true;
+        document.querySelectorAll('.guided-settings select, .guided-settings input').forEach(input => {
+            input.disabled = (input.id === 'guidedSpeak' && !('speechSynthesis' in window))
+                || (input.id === 'guidedFollowups' && !SpeechRecognitionApi);
+        });
+        document.getElementById('guidedPrompt')?.classList.add('hidden');
+        this.updateNextQuestionButton();
+    }
+
+    renderGuidedPrompt() {
+        const guided = this.guided;
+        if (!guided) return;
+
+        const total = this.questions.length;
+        const remaining = guided.deadline ? Math.max(0, (guided.deadline - Date.now()) / 1000) : guided.phaseSeconds;
+        const labels = { reading: 'Listen', think: 'Think', answer: 'Answer', loading: 'Follow-up' };
+        const isLast = guided.index + 1 >= total;
+
+        const number = document.getElementById('guidedQuestionNumber');
+        const phase = document.getElementById('guidedPhase');
+        const countdown = document.getElementById('guidedCountdown');
+        const text = document.getElementById('guidedQuestionText');
+        const fill = document.getElementById('guidedTimerFill');
+        const nextBtn = document.getElementById('guidedNextBtn');
+
+        if (number) {
+            number.textContent = `Question ${guided.index + 1} of ${total}${this.questionDetails[guided.index]?.followup ? ' - follow-up' : ''}`;
+        }
+        if (phase) {
+            phase.textContent = labels[guided.phase];
+            phase.className = `guided-phase ${guided.phase}`;
+        }
+        if (countdown) {
+            countdown.textContent = guided.deadline ? formatTime(Math.ceil(remaining)) : '';
+            countdown.classList.toggle('ending', guided.phase === 'answer' && remaining <= 10);
+        }
+        if (text) text.textContent = guided.phase === 'loading' ? 'Thinking of a follow-up to your answer...' : this.questions[guided.index];
+        if (fill) fill.style.width = `${guided.deadline && guided.phaseSeconds ? (remaining / guided.phaseSeconds) * 100 : 100}%`;
+        if (nextBtn) {
+            nextBtn.disabled = guided.phase === 'loading';
+            nextBtn.innerHTML = guided.phase === 'answer'
+                ? `<i class="fas fa-forward"></i> ${isLast ? 'Finish' : 'Next Question'}`
+                : '<i class="fas fa-forward"></i> Start Answering';
+        }
     }
 
     handleFileSelect(e) {
@@ -555,6 +1014,7 @@ class InterviewApp {
         }
 
         this.currentVideo = file;
+        this.questionMarkers = [];
         this.showFilePreview(file);
         
         const analyzeBtn = document.getElementById('analyzeVideoBtn');
@@ -646,34 +1106,37 @@ class InterviewApp {
             formData.append('video', this.currentVideo);
             formData.append('field', this.currentField);
             formData.append('hasVideo', 'true');
+            formData.append('questions', JSON.stringify(this.questions));
+            formData.append('questionCount', String(this.questions.length || 1));
+            formData.append('markers', JSON.stringify(this.questionMarkers));
             
             console.log('📤 Uploading video for analysis...');
+            this.renderAnalysisProgress({
+                status: 'running',
+                progress: 0,
+                detail: 'Uploading video...',
+                stages: ANALYSIS_STAGES.map(([name], i) => ({ name, status: i === 0 ? 'active' : 'pending' }))
+            });
             
             // Send FormData (not JSON) to properly handle video file
-            const response = await fetch('/api/analyze', {
+            const response = await this.apiFetch('/api/analyze', {
                 method: 'POST',
                 body: formData  // No headers needed - browser sets multipart/form-data automatically
             });
 
             if (!response.ok) {
-                throw new Error(`Analysis failed: ${response.status} ${response.statusText}`);
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `${response.status} ${response.statusText}`);
             }
 
             const result = await response.json();
-            console.log('✅ Video analysis completed:', result);
-            
-            if (result.analysis) {
-                this.showResults(result.analysis);
-                this.saveSession(result.analysis);
-                
-                // Show appropriate success message based on actual video processing
-                if (result.actualVideoProcessed) {
-                    this.showNotification('🎥 Video content analyzed successfully!', 'success');
-                } else {
-                    this.showNotification('⚠️ Analysis completed - upload a video file for full video analysis', 'info');
-                }
+
+            // The Express server queues the work and returns a job; the Vercel function answers inline
+            if (result.jobId) {
+                localStorage.setItem(PENDING_JOB_KEY, JSON.stringify({ jobId: result.jobId, field: this.currentField, questions: this.questions }));
+                this.handleAnalysisResult(await this.waitForAnalysisJob(result.jobId));
             } else {
-                throw new Error('No analysis data received');
+                this.handleAnalysisResult(result);
             }
 
         } catch (error) {
@@ -684,39 +1147,202 @@ class InterviewApp {
                 analyzeBtn.innerHTML = '<i class="fas fa-microscope"></i> Analyze Performance';
                 analyzeBtn.disabled = false;
             }
+            this.hideAnalysisProgress();
+        }
+    }
+
+    handleAnalysisResult(result) {
+        console.log('✅ Video analysis completed:', result);
+
+        if (!result.analysis) {
+            throw new Error('No analysis data received');
+        }
+
+        if (this.playbackObjectUrl) URL.revokeObjectURL(this.playbackObjectUrl);
+        this.playbackObjectUrl = this.currentVideo ? URL.createObjectURL(this.currentVideo) : null;
+
+        this.showResults(result.analysis, {
+            videoUrl: this.playbackObjectUrl,
+            transcript: result.transcript
+        });
+        this.saveSession(result);
+        
+        // Show appropriate success message based on actual video processing
+        if (result.actualVideoProcessed) {
+            this.showNotification('🎥 Video content analyzed successfully!', 'success');
+        } else if (result.transcriptionError) {
+            const reason = result.transcriptionError.message || result.transcriptionError;
+            const hint = result.transcriptionError.hint ? ` ${result.transcriptionError.hint}.` : '';
+            this.showNotification(`⚠️ Could not transcribe your answer: ${reason}.${hint}`, 'error');
+        } else {
+            this.showNotification('⚠️ Analysis completed - upload a video file for full video analysis', 'info');
+        }
+    }
+
+    // Follows a queued job to completion and resolves with its result
+    async waitForAnalysisJob(jobId) {
+        try {
+            const job = await this.watchAnalysisJob(jobId);
+            if (job.status === 'failed') {
+                throw new Error(job.error ? job.error.message : 'Analysis job failed');
+            }
+            return job.result;
+        } finally {
+            localStorage.removeItem(PENDING_JOB_KEY);
+        }
+    }
+
+    // Live updates over Server-Sent Events, falling back to polling if the stream drops
+    watchAnalysisJob(jobId) {
+        if (!window.EventSource) return this.pollAnalysisJob(jobId);
+
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(`/api/jobs/${jobId}/events`);
+
+            source.addEventListener('progress', (event) => {
+                const job = JSON.parse(event.data);
+                this.renderAnalysisProgress(job);
+                if (job.status === 'completed' || job.status === 'failed') {
+                    source.close();
+                    resolve(job);
+                }
+            });
+
+            source.onerror = () => {
+                source.close();
+                this.pollAnalysisJob(jobId).then(resolve, reject);
+            };
+        });
+    }
+
+    async pollAnalysisJob(jobId) {
+        for (;;) {
+            const response = await this.apiFetch(`/api/jobs/${jobId}`);
+            if (response.status === 404) {
+                throw new Error('The analysis job has expired - please analyze your video again');
+            }
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(`Could not check analysis progress: ${data.error || `${response.status} ${response.statusText}`}`);
+            }
+
+            const job = await response.json();
+            this.renderAnalysisProgress(job);
+            if (job.status === 'completed' || job.status === 'failed') return job;
+
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+
+    // Picks up a job that was still running when the page was reloaded
+    async resumePendingAnalysis() {
+        const pending = JSON.parse(localStorage.getItem(PENDING_JOB_KEY) || 'null');
+        if (!pending || !pending.jobId) return;
+
+        console.log('🔄 Resuming analysis job:', pending.jobId);
+        this.currentField = this.currentField || pending.field;
+        if (this.questions.length === 0) this.questions = pending.questions || [];
+        this.switchTab('analyze');
+
+        const analyzeBtn = document.getElementById('analyzeVideoBtn');
+        if (analyzeBtn) {
+            analyzeBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing Video Content...';
+            analyzeBtn.disabled = true;
+        }
+
+        try {
+            this.handleAnalysisResult(await this.waitForAnalysisJob(pending.jobId));
+        } catch (error) {
+            console.error('❌ Resumed analysis failed:', error);
+            this.showNotification(`Video analysis failed: ${error.message}`, 'error');
+        } finally {
+            if (analyzeBtn) {
+                analyzeBtn.innerHTML = '<i class="fas fa-microscope"></i> Analyze Performance';
+                analyzeBtn.disabled = !this.currentVideo;
+            }
+            this.hideAnalysisProgress();
         }
     }
 
-    showResults(analysis) {
+    renderAnalysisProgress(job) {
+        const container = document.getElementById('analysisProgress');
+        const fill = document.getElementById('analysisProgressFill');
+        const stages = document.getElementById('analysisStages');
+        const detail = document.getElementById('analysisProgressDetail');
+        if (!container) return;
+
+        container.classList.remove('hidden');
+        if (fill) fill.style.width = `${job.progress || 0}%`;
+
+        if (stages && job.stages) {
+            const labels = Object.fromEntries(ANALYSIS_STAGES);
+            stages.innerHTML = job.stages.map(stage => `
+                <li class="${stage.status}">
+                    <i class="fas ${stage.status === 'done' ? 'fa-check-circle' : stage.status === 'active' ? 'fa-spinner fa-spin' : 'fa-circle'}"></i>
+                    ${labels[stage.name] || stage.name}
+                </li>
+            `).join('');
+        }
+
+        if (detail) {
+            detail.textContent = job.status === 'queued'
+                ? `Waiting in queue (position ${job.queuePosition})...`
+                : job.detail || '';
+        }
+    }
+
+    hideAnalysisProgress() {
+        const container = document.getElementById('analysisProgress');
+        if (container) container.classList.add('hidden');
+    }
+
+    // playback: { videoUrl, transcript, title } - adds the replay card when there is something to replay
+    showResults(analysis, playback = {}) {
         const resultsSection = document.getElementById('resultsSection');
         const resultsContent = document.getElementById('resultsContent');
+        const resultsTitle = resultsSection ? resultsSection.querySelector('.results-title') : null;
         
         if (!resultsSection || !resultsContent) return;
+        if (resultsTitle) resultsTitle.textContent = playback.title || 'Lab Analysis Results';
         
         // Enhanced results display with video metrics if available
         let videoMetricsHTML = '';
         if (analysis.videoMetrics) {
+            const metrics = analysis.videoMetrics;
+            const metricItems = [
+                ['Speech Rate', metrics.speechRate, ' WPM'],
+                ['Eye Contact', metrics.eyeContact, '%'],
+                ['Confidence Level', metrics.confidence, '%'],
+                ['Clarity Score', metrics.clarity, '%'],
+                ['Talk Time', metrics.talkTimeRatio, '%'],
+                ['Long Pauses', metrics.longPauses, ''],
+                ['Silence at Start', metrics.deadAirStart, 's'],
+                ['Silence at End', metrics.deadAirEnd, 's']
+            ].filter(([, value]) => value !== undefined && value !== null);
+            const maxWpm = Math.max(1, ...(metrics.wpmOverTime || []).map(w => w.wpm));
+
             videoMetricsHTML = `
                 <div class="result-card">
                     <h3><i class="fas fa-video"></i> Video Analysis Metrics</h3>
                     <div class="video-metrics">
-                        <div class="metric-item">
-                            <span class="metric-label">Speech Rate:</span>
-                            <span class="metric-value">${analysis.videoMetrics.speechRate} WPM</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Eye Contact:</span>
-                            <span class="metric-value">${analysis.videoMetrics.eyeContact}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Confidence Level:</span>
-                            <span class="metric-value">${analysis.videoMetrics.confidence}%</span>
-                        </div>
-                        <div class="metric-item">
-                            <span class="metric-label">Clarity Score:</span>
-                            <span class="metric-value">${analysis.videoMetrics.clarity}%</span>
-                        </div>
+                        ${metricItems.map(([label, value, unit]) => `
+                            <div class="metric-item">
+                                <span class="metric-label">${label}:</span>
+                                <span class="metric-value">${value}${unit}</span>
+                            </div>
+                        `).join('')}
                     </div>
+                    ${metrics.wpmOverTime && metrics.wpmOverTime.length > 1 ? `
+                        <div class="filler-chart">
+                            ${metrics.wpmOverTime.map(w => `
+                                <div class="filler-bar" title="${w.wpm} WPM">
+                                    <div class="filler-bar-fill pace" style="height: ${(w.wpm / maxWpm) * 100}%;"></div>
+                                    <span class="filler-bar-label">${w.start}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    ${metrics.timingEstimated ? '<p class="answer-breakdown-note">Timing is estimated from sentence-level timestamps.</p>' : ''}
                 </div>
             `;
         }
@@ -724,26 +1350,53 @@ class InterviewApp {
         resultsContent.innerHTML = `
             <div class="result-card">
                 <h3>Overall Lab Score</h3>
-                <div class="score-display">
-                    <div class="score-circle" style="--score-deg: ${analysis.rating * 36}deg;">
-                        <span class="score-text">${analysis.rating}/10</span>
+                ${analysis.rating === null ? `
+                    <div class="score-display">
+                        <div class="score-circle" style="--score-deg: 0deg;">
+                            <span class="score-text">N/A</span>
+                        </div>
+                        <p>${escapeHtml(analysis.summary)}</p>
                     </div>
-                    <p>${this.getScoreDescription(analysis.rating)}</p>
-                </div>
+                ` : `
+                    <div class="score-display">
+                        <div class="score-circle" style="--score-deg: ${analysis.rating * 36}deg;">
+                            <span class="score-text">${analysis.rating}/10</span>
+                        </div>
+                        <p>${this.getScoreDescription(analysis.rating)}</p>
+                    </div>
+                `}
             </div>
             
+            ${this.renderRubricCard(analysis)}
+            
+            ${this.renderPlaybackCard(playback)}
+            
             ${videoMetricsHTML}
             
+            ${this.renderAnswerBreakdown(analysis)}
+            
+            ${this.renderStarCard(analysis)}
+            
+            ${this.renderVocabularyCard(analysis)}
+            
+            ${this.renderFillerTimeline(analysis)}
+            
+            ${this.renderAudioCard(analysis)}
+            
+            ${this.renderReviewCard(analysis)}
+            
             <div class="result-card">
                 <h3><i class="fas fa-exclamation-triangle"></i> Areas for Experimentation</h3>
                 ${analysis.mistakes && analysis.mistakes.length > 0 ? 
                     analysis.mistakes.map(mistake => `
                         <div class="issue-item">
                             <div class="timestamp">${mistake.timestamp}</div>
-                            <p>${mistake.text}</p>
+                            <p>${escapeHtml(mistake.text)}${mistake.source ? ' <span class="coach-badge">AI coach</span>' : ''}</p>
                         </div>
                     `).join('') 
-                    : '<p style="color: #10b981;">Excellent! No major issues detected in this lab session.</p>'
+                    : analysis.rating === null
+                        ? '<p>No transcript was available, so your answers could not be reviewed.</p>'
+                        : '<p style="color: #10b981;">Excellent! No major issues detected in this lab session.</p>'
                 }
             </div>
             
@@ -753,7 +1406,7 @@ class InterviewApp {
                     analysis.tips.map(tip => `
                         <div class="tip-item">
                             <i class="fas fa-check-circle"></i>
-                            <p>${tip}</p>
+                            <p>${escapeHtml(tip)}</p>
                         </div>
                     `).join('') 
                     : '<p>No specific recommendations available.</p>'
@@ -761,10 +1414,382 @@ class InterviewApp {
             </div>
         `;
 
+        this.setupPlayback(resultsContent);
+
         resultsSection.classList.remove('hidden');
         resultsSection.scrollIntoView({ behavior: 'smooth' });
     }
 
+    renderPlaybackCard({ videoUrl, transcript } = {}) {
+        const segments = (transcript && transcript.segments) || [];
+        if (!videoUrl && segments.length === 0) return '';
+
+        return `
+            <div class="result-card playback-card">
+                <h3><i class="fas fa-play-circle"></i> Replay</h3>
+                ${videoUrl
+                    ? `<video id="playbackVideo" class="playback-video" src="${videoUrl}" controls preload="metadata" playsinline></video>`
+                    : '<p class="answer-breakdown-note">The recording was not kept for this session - timestamps highlight the transcript only.</p>'}
+                ${segments.length > 0 ? `
+                    <div id="playbackTranscript" class="playback-transcript">
+                        ${segments.map(segment => `
+                            <div class="transcript-segment" data-start="${segment.start}" data-end="${segment.end}">
+                                <span class="timestamp">${formatTime(segment.start)}</span>
+                                <p>${escapeHtml(segment.text)}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Every timestamp in the results seeks the replay; the spoken line follows playback
+    setupPlayback(container) {
+        const video = container.querySelector('#playbackVideo');
+        const transcript = container.querySelector('#playbackTranscript');
+        if (!video && !transcript) return;
+
+        container.querySelectorAll('.timestamp').forEach(element => {
+            const seconds = parseTimestamp(element.textContent);
+            if (seconds === null) return;
+
+            element.classList.add('seekable');
+            element.title = `Jump to ${formatTime(seconds)}`;
+            element.addEventListener('click', () => this.seekPlayback(seconds));
+        });
+
+        if (video) {
+            video.addEventListener('timeupdate', () => this.highlightTranscript(video.currentTime));
+            video.addEventListener('error', () => {
+                video.replaceWith(Object.assign(document.createElement('p'), {
+                    className: 'answer-breakdown-note',
+                    textContent: 'The recording could not be loaded.'
+                }));
+            });
+        }
+    }
+
+    seekPlayback(seconds) {
+        const card = document.querySelector('.playback-card');
+        const video = document.getElementById('playbackVideo');
+
+        if (card) card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (video) {
+            video.currentTime = seconds;
+            video.play().catch(() => {});
+        }
+        this.highlightTranscript(seconds);
+    }
+
+    highlightTranscript(seconds) {
+        const transcript = document.getElementById('playbackTranscript');
+        if (!transcript) return;
+
+        const segments = [...transcript.querySelectorAll('.transcript-segment')];
+        // The segment being spoken, or the last one started before a gap
+        const current = segments.filter(segment => Number(segment.dataset.start) <= seconds + 0.05).pop();
+        if (!current || current.classList.contains('active')) return;
+
+        segments.forEach(segment => segment.classList.remove('active'));
+        current.classList.add('active');
+
+        // Scroll within the transcript box only, never the page
+        const top = current.offsetTop - transcript.offsetTop;
+        if (top < transcript.scrollTop || top + current.offsetHeight > transcript.scrollTop + transcript.clientHeight) {
+            transcript.scrollTo({ top: top - transcript.clientHeight / 3, behavior: 'smooth' });
+        }
+    }
+
+    renderAnswerBreakdown(analysis) {
+        if (!analysis.answers || analysis.answers.length < 2) return '';
+
+        const segmentation = analysis.segmentation || {};
+        const methodLabels = {
+            marker: 'your Next Question markers',
+            cue: 'spoken question cues',
+            pause: 'pauses between answers'
+        };
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-list-ol"></i> Per-Question Breakdown</h3>
+                <p class="answer-breakdown-note">
+                    Split into ${segmentation.detected} of ${segmentation.expected} answers using ${methodLabels[segmentation.method] || 'the full transcript'}.
+                </p>
+                ${analysis.answers.map(answer => `
+                    <div class="answer-item">
+                        <div class="answer-header">
+                            <div>
+                                <div class="question-number">Question ${answer.questionIndex + 1}</div>
+                                <div class="question-text">${escapeHtml(answer.question || this.questions[answer.questionIndex] || '')}</div>
+                            </div>
+                            <div class="answer-meta">
+                                <span class="timestamp">${answer.start} – ${answer.end}</span>
+                                <span class="history-score">${answer.rating}/10</span>
+                            </div>
+                        </div>
+                        ${answer.rubric ? `
+                            <p class="answer-breakdown-note">
+                                ${answer.rubric.criteria.filter(c => c.score !== null).map(c => `${c.label} ${c.score}`).join(' · ')}
+                            </p>
+                        ` : ''}
+                        ${answer.relevance && typeof answer.relevance.score === 'number' ? `
+                            <p class="answer-relevance ${answer.relevance.verdict}">
+                                Relevance ${answer.relevance.score}% · ${answer.relevance.verdict} — ${escapeHtml(answer.relevance.reason)}
+                            </p>
+                        ` : ''}
+                        ${(answer.mistakes || []).map(mistake => `
+                            <div class="issue-item">
+                                <div class="timestamp">${mistake.timestamp}</div>
+                                <p>${escapeHtml(mistake.text)}${mistake.source ? ' <span class="coach-badge">AI coach</span>' : ''}</p>
+                            </div>
+                        `).join('')}
+                        ${(answer.tips || []).slice(1, 3).map(tip => `
+                            <div class="tip-item">
+                                <i class="fas fa-check-circle"></i>
+                                <p>${escapeHtml(tip)}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderRubricCard(analysis) {
+        const rubric = analysis.rubric;
+        if (!rubric) return '';
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-balance-scale"></i> How Your Score Was Calculated</h3>
+                <p class="answer-breakdown-note">
+                    Weighted average of each criterion (0-10): ${rubric.formula} = ${rubric.overall}, rounded to the nearest half point.
+                </p>
+                ${rubric.criteria.map(criterion => `
+                    <div class="rubric-criterion ${criterion.score === null ? 'unmeasured' : ''}">
+                        <div class="rubric-header">
+                            <span class="star-label">${criterion.label}</span>
+                            <span class="rubric-weight">${criterion.score === null ? 'not counted' : `${criterion.share}% of score`}</span>
+                            <span class="history-score">${criterion.score === null ? 'N/A' : `${criterion.score}/10`}</span>
+                        </div>
+                        <div class="rubric-bar">
+                            <div class="rubric-bar-fill" style="width: ${(criterion.score || 0) * 10}%;"></div>
+                        </div>
+                        <p class="rubric-description">${criterion.description}</p>
+                        <ul class="rubric-notes">
+                            ${criterion.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}
+                        </ul>
+                        ${criterion.evidence.map(item => `
+                            <div class="rubric-evidence">
+                                ${item.timestamp ? `<span class="timestamp">${item.timestamp}</span>` : ''}
+                                <span>"${escapeHtml(item.quote)}"${item.note ? ` <em>${escapeHtml(item.note)}</em>` : ''}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderReviewCard(analysis) {
+        const review = analysis.review;
+        if (!review) return '';
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-chalkboard-teacher"></i> Coach's Notes</h3>
+                ${review.summary ? `<p>${escapeHtml(review.summary)}</p>` : ''}
+                ${review.strengths.map(item => `
+                    <div class="tip-item">
+                        <span class="timestamp">${item.timestamp}</span>
+                        <p>"${escapeHtml(item.quote)}" - ${escapeHtml(item.text)}</p>
+                    </div>
+                `).join('')}
+                <p class="answer-breakdown-note">
+                    Reviewed by ${escapeHtml(review.source)} (${escapeHtml(review.model)}) against your transcript. Its suggestions appear under Areas for Experimentation marked "AI coach"; your score comes from the rubric above.
+                    ${review.rejected.length ? `${review.rejected.length} comment${review.rejected.length === 1 ? '' : 's'} that did not match your transcript ${review.rejected.length === 1 ? 'was' : 'were'} left out.` : ''}
+                </p>
+            </div>
+        `;
+    }
+
+    renderStarCard(analysis) {
+        const behavioral = (analysis.star?.perQuestion || []).filter(s => s.applicable);
+        if (behavioral.length === 0) return '';
+
+        const labels = { situation: 'Situation', task: 'Task', action: 'Action', result: 'Result' };
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-star"></i> STAR Structure</h3>
+                <p class="answer-breakdown-note">
+                    Average completeness for behavioral answers: ${analysis.star.averageCompleteness}%
+                </p>
+                ${behavioral.map(entry => `
+                    <div class="answer-item">
+                        <div class="answer-header">
+                            <div>
+                                <div class="question-number">${entry.question ? `Question ${entry.questionIndex + 1}` : 'Your answer'}</div>
+                                <div class="question-text">${escapeHtml(entry.question || '')}</div>
+                            </div>
+                            <span class="history-score">${entry.completeness}%</span>
+                        </div>
+                        <div class="star-grid">
+                            ${Object.entries(labels).map(([key, label]) => {
+                                const component = entry.components[key];
+                                const example = component.sentences[0];
+                                return `
+                                    <div class="star-component ${component.present ? 'present' : 'missing'}">
+                                        <div class="star-label">
+                                            <i class="fas fa-${component.present ? 'check-circle' : 'times-circle'}"></i> ${label}
+                                        </div>
+                                        <p>${example ? `${example.timestamp ? `<span class="timestamp">${example.timestamp}</span> ` : ''}"${escapeHtml(example.text)}"` : 'Not detected'}</p>
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                        ${entry.advice.map(advice => `
+                            <div class="tip-item">
+                                <i class="fas fa-check-circle"></i>
+                                <p>${advice}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderVocabularyCard(analysis) {
+        const vocabulary = analysis.vocabulary;
+        if (!vocabulary || !vocabulary.lexicon) return '';
+
+        const mentioned = vocabulary.conceptsMentioned || [];
+        const missing = vocabulary.conceptsMissing || [];
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-book"></i> Technical Vocabulary</h3>
+                <div class="video-metrics">
+                    <div class="metric-item">
+                        <span class="metric-label">Measured Against:</span>
+                        <span class="metric-value">${vocabulary.lexicon.title}</span>
+                    </div>
+                    <div class="metric-item">
+                        <span class="metric-label">Concept Coverage:</span>
+                        <span class="metric-value">${vocabulary.conceptCoverage}%</span>
+                    </div>
+                    <div class="metric-item">
+                        <span class="metric-label">Terms Used:</span>
+                        <span class="metric-value">${vocabulary.technicalTerms}</span>
+                    </div>
+                </div>
+                <div class="star-grid">
+                    ${mentioned.map(concept => `
+                        <div class="star-component present">
+                            <div class="star-label"><i class="fas fa-check-circle"></i> ${concept.label}</div>
+                            <p>${concept.terms.map(term => `"${term}"`).join(', ')}${concept.count > 1 ? ` - ${concept.count} mentions` : ''}</p>
+                        </div>
+                    `).join('')}
+                    ${missing.map(concept => `
+                        <div class="star-component missing">
+                            <div class="star-label"><i class="fas fa-times-circle"></i> ${concept.label}</div>
+                            <p>Not mentioned - try ${concept.examples.map(term => `"${term}"`).join(', ')}</p>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderAudioCard(analysis) {
+        const audio = analysis.audio;
+        if (!audio || !audio.available) return '';
+
+        const metricItems = [
+            ['Loudness', audio.integratedLoudness, ' LUFS'],
+            ['Loudness Range', audio.loudnessRange, ' LU'],
+            ['Background Noise', audio.noiseFloorDb, ' dBFS'],
+            ['Clipping Events', audio.clipping.events.length, '']
+        ].filter(([, value]) => value !== undefined && value !== null);
+        const maxVariation = Math.max(1, ...audio.pitchOverTime.map(w => w.variationSemitones));
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-volume-up"></i> Voice &amp; Audio</h3>
+                <div class="video-metrics">
+                    ${metricItems.map(([label, value, unit]) => `
+                        <div class="metric-item">
+                            <span class="metric-label">${label}:</span>
+                            <span class="metric-value">${value}${unit}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${audio.pitchOverTime.length > 1 ? `
+                    <p class="answer-breakdown-note">Pitch variation over time (semitones) - flat bars mean a monotone delivery.</p>
+                    <div class="filler-chart">
+                        ${audio.pitchOverTime.map(w => `
+                            <div class="filler-bar" title="${w.variationSemitones} semitones around ${w.medianHz} Hz">
+                                <div class="filler-bar-fill pitch" style="height: ${(w.variationSemitones / maxVariation) * 100}%;"></div>
+                                <span class="filler-bar-label">${w.timestamp}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderFillerTimeline(analysis) {
+        const fillers = analysis.fillers;
+        if (!fillers || fillers.wordCount === 0) return '';
+
+        const maxPerMinute = Math.max(1, ...fillers.density.map(b => b.fillers));
+        const shown = fillers.occurrences.slice(0, 40);
+
+        return `
+            <div class="result-card">
+                <h3><i class="fas fa-comment-dots"></i> Filler Words</h3>
+                <div class="video-metrics">
+                    <div class="metric-item">
+                        <span class="metric-label">Total:</span>
+                        <span class="metric-value">${fillers.total}</span>
+                    </div>
+                    <div class="metric-item">
+                        <span class="metric-label">Per 100 Words:</span>
+                        <span class="metric-value">${fillers.ratePer100Words}</span>
+                    </div>
+                    ${fillers.perMinute !== null ? `
+                        <div class="metric-item">
+                            <span class="metric-label">Per Minute:</span>
+                            <span class="metric-value">${fillers.perMinute}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                ${fillers.density.length > 1 ? `
+                    <div class="filler-chart">
+                        ${fillers.density.map(bucket => `
+                            <div class="filler-bar" title="${bucket.fillers} fillers in ${bucket.words} words">
+                                <div class="filler-bar-fill" style="height: ${(bucket.fillers / maxPerMinute) * 100}%;"></div>
+                                <span class="filler-bar-label">${bucket.start}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${shown.length > 0 ? `
+                    <div class="filler-occurrences">
+                        ${shown.map(o => `
+                            <span class="filler-chip">${o.timestamp ? `<span class="timestamp">${o.timestamp}</span> ` : ''}${o.word}</span>
+                        `).join('')}
+                        ${fillers.occurrences.length > shown.length ? `<span class="filler-chip">+${fillers.occurrences.length - shown.length} more</span>` : ''}
+                    </div>
+                ` : '<p style="color: #10b981;">No filler words detected.</p>'}
+            </div>
+        `;
+    }
+
     getScoreDescription(rating) {
         if (rating >= 9) return 'Outstanding lab results! You\'re interview-ready.';
         if (rating >= 7) return 'Good performance with areas to experiment and improve.';
@@ -772,38 +1797,59 @@ class InterviewApp {
         return 'Room for improvement. Keep experimenting in the lab!';
     }
 
-    saveSession(analysis) {
-        if (!this.currentUser) return;
-        
-        if (!this.currentUser.sessions) {
-            this.currentUser.sessions = [];
-        }
-
-        const session = {
-            id: Date.now(),
-            date: new Date().toISOString(),
-            field: this.currentField,
-            rating: analysis.rating,
-            mistakes: analysis.mistakes ? analysis.mistakes.length : 0,
-            tips: analysis.tips ? analysis.tips.length : 0
-        };
+    // Stores the complete analysis server-side so it is available from any browser
+    async saveSession(result) {
+        // Unscored (no transcript) runs would skew the history averages
+        if (!this.currentUser || result.analysis.rating === null) return;
 
-        this.currentUser.sessions.push(session);
-        
-        // Save to localStorage with InterviewLabs keys
-        localStorage.setItem('interviewlabs_user', JSON.stringify(this.currentUser));
-        localStorage.setItem(`interviewlabs_sessions_${this.currentUser.email}`, JSON.stringify(this.currentUser.sessions));
-        
-        this.loadUserData();
+        try {
+            const response = await this.apiFetch('/api/sessions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                // The server saves its own copy of the analysis for this recording
+                body: JSON.stringify({ recordingId: result.recordingId })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `${response.status} ${response.statusText}`);
+            }
+            this.loadHistory(1);
+            this.loadProgress();
+        } catch (error) {
+            console.error('❌ Saving session failed:', error);
+            this.showNotification(`Could not save this session to your history: ${error.message}`, 'error');
+        }
     }
 
-    loadHistory() {
+    async loadHistory(page = this.historyPage || 1) {
         const historyList = document.getElementById('historyList');
         if (!historyList || !this.currentUser) return;
-        
-        const sessions = this.currentUser.sessions || [];
 
-        if (sessions.length === 0) {
+        let data;
+        try {
+            const response = await this.apiFetch(`/api/sessions?page=${page}&pageSize=10`);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            data = await response.json();
+        } catch (error) {
+            console.error('❌ Loading history failed:', error);
+            historyList.innerHTML = `
+                <div class="empty-history">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>Could not load your lab results: ${escapeHtml(error.message)}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.historyPage = data.page;
+
+        // Stats cover the whole history, not just this page
+        const totalSessions = document.getElementById('totalSessions');
+        const avgScore = document.getElementById('avgScore');
+        if (totalSessions) totalSessions.textContent = data.stats.count;
+        if (avgScore) avgScore.textContent = data.stats.averageRating ?? 0;
+
+        if (data.total === 0) {
             historyList.innerHTML = `
                 <div class="empty-history">
                     <i class="fas fa-chart-line"></i>
@@ -813,15 +1859,153 @@ class InterviewApp {
             return;
         }
 
-        historyList.innerHTML = sessions.slice(-10).reverse().map(session => `
-            <div class="history-item">
+        historyList.innerHTML = data.sessions.map(session => `
+            <div class="history-item" data-session-id="${session.id}">
                 <div class="history-info">
-                    <h4>${session.field}</h4>
-                    <p>${new Date(session.date).toLocaleDateString()} • ${session.mistakes} issues • ${session.tips} recommendations</p>
+                    <h4>${escapeHtml(session.field)}</h4>
+                    <p>${new Date(session.createdAt).toLocaleDateString()} • ${session.questionCount} questions • ${session.mistakes} issues • ${session.tips} recommendations${session.hasRecording ? ' • <i class="fas fa-video"></i> replay' : ''}</p>
                 </div>
-                <div class="history-score">${session.rating}/10</div>
+                <div class="history-actions">
+                    <div class="history-score">${session.rating === null ? 'N/A' : `${session.rating}/10`}</div>
+                    <button class="history-delete" data-action="delete" title="Delete this session">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('') + (data.totalPages > 1 ? `
+            <div class="history-pagination">
+                <button class="history-page-btn" data-page="${data.page - 1}" ${data.page <= 1 ? 'disabled' : ''}>
+                    <i class="fas fa-chevron-left"></i> Newer
+                </button>
+                <span>Page ${data.page} of ${data.totalPages}</span>
+                <button class="history-page-btn" data-page="${data.page + 1}" ${data.page >= data.totalPages ? 'disabled' : ''}>
+                    Older <i class="fas fa-chevron-right"></i>
+                </button>
             </div>
-        `).join('');
+        ` : '');
+
+        historyList.querySelectorAll('.history-page-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.loadHistory(Number(btn.dataset.page)));
+        });
+        historyList.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="delete"]')) {
+                    this.deleteSession(item.dataset.sessionId);
+                } else {
+                    this.openSession(item.dataset.sessionId);
+                }
+            });
+        });
+    }
+
+    // Shows a saved session with its recording, transcript and full feedback
+    async openSession(sessionId) {
+        try {
+            const response = await this.apiFetch(`/api/sessions/${sessionId}`);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const { session } = await response.json();
+
+            this.showResults(session.analysis, {
+                title: `${session.field} · ${new Date(session.createdAt).toLocaleString()}`,
+                videoUrl: session.recording ? `/api/sessions/${session.id}/recording` : null,
+                transcript: session.transcript
+            });
+        } catch (error) {
+            console.error('❌ Loading session failed:', error);
+            this.showNotification(`Could not open this session: ${error.message}`, 'error');
+        }
+    }
+
+    // Skill trends and callouts, computed server-side from the saved sessions
+    async loadProgress(field = this.progressField) {
+        const dashboard = document.getElementById('progressDashboard');
+        if (!dashboard || !this.currentUser) return;
+
+        let report;
+        try {
+            const response = await this.apiFetch(`/api/progress${field ? `?field=${encodeURIComponent(field)}` : ''}`);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            report = await response.json();
+        } catch (error) {
+            console.error('❌ Loading progress failed:', error);
+            dashboard.classList.add('hidden');
+            return;
+        }
+
+        this.progressField = report.field || '';
+        if (report.fields.length === 0) {
+            dashboard.classList.add('hidden');
+            return;
+        }
+        dashboard.classList.remove('hidden');
+
+        const fieldSelect = document.getElementById('progressField');
+        if (fieldSelect) {
+            fieldSelect.innerHTML = '<option value="">All fields</option>' + report.fields.map(f => `
+                <option value="${escapeHtml(f.field)}" ${f.field.toLowerCase() === this.progressField.toLowerCase() ? 'selected' : ''}>
+                    ${escapeHtml(f.field)} (${f.sessions} · avg ${f.averageRating ?? 'N/A'})
+                </option>
+            `).join('');
+        }
+
+        const callouts = document.getElementById('progressCallouts');
+        if (callouts) {
+            const { mostImproved, persistentWeaknesses } = report.callouts;
+            callouts.innerHTML = (mostImproved ? `
+                <div class="progress-callout improved">
+                    <i class="fas fa-arrow-up"></i>
+                    <p><strong>Most improved: ${mostImproved.label}</strong> - ${mostImproved.earlier}${mostImproved.unit} → ${mostImproved.recent}${mostImproved.unit} across your sessions</p>
+                </div>
+            ` : '') + persistentWeaknesses.map(weakness => `
+                <div class="progress-callout weakness">
+                    <i class="fas fa-exclamation-circle"></i>
+                    <p><strong>Persistent weakness: ${weakness.label}</strong> (${weakness.recentAverage}${weakness.unit} over your last ${weakness.sessions} sessions) - ${weakness.message}</p>
+                </div>
+            `).join('') || (report.sessions.length < 3
+                ? '<p class="answer-breakdown-note">Save at least 3 sessions to see trends and callouts.</p>'
+                : '');
+        }
+
+        const charts = document.getElementById('progressCharts');
+        if (charts) {
+            const trendLabels = { improving: 'Improving', declining: 'Declining', steady: 'Steady', 'insufficient-data': 'Not enough data' };
+            const shown = report.sessions.slice(-20);
+
+            charts.innerHTML = report.dimensions.filter(d => d.sessions > 0).map(dimension => {
+                const max = Math.max(1, ...shown.map(s => s[dimension.key] ?? 0));
+                return `
+                    <div class="progress-chart">
+                        <div class="progress-chart-header">
+                            <span>${dimension.label}</span>
+                            <span class="trend-badge ${dimension.trend}">${trendLabels[dimension.trend]}</span>
+                        </div>
+                        <div class="progress-chart-value">${dimension.latest}${dimension.unit} <small>latest · avg ${dimension.average}</small></div>
+                        <div class="filler-chart">
+                            ${shown.map(session => `
+                                <div class="filler-bar" title="${new Date(session.createdAt).toLocaleDateString()}: ${session[dimension.key] ?? 'not measured'}">
+                                    <div class="filler-bar-fill progress" style="height: ${((session[dimension.key] ?? 0) / max) * 100}%;"></div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    async deleteSession(sessionId) {
+        if (!confirm('Delete this lab result? This cannot be undone.')) return;
+
+        try {
+            const response = await this.apiFetch(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            this.showNotification('Lab result deleted', 'info');
+            this.loadHistory();
+            this.loadProgress();
+        } catch (error) {
+            console.error('❌ Deleting session failed:', error);
+            this.showNotification(`Could not delete this session: ${error.message}`, 'error');
+        }
     }
 
     showNotification(message, type = 'info') {
@@ -928,5 +2112,4 @@ window.addEventListener('offline', () => {
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new InterviewApp();
     window.InterviewApp = InterviewApp; // For debugging
-    console.log('InterviewLabs app initialized successfully!');
 });
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePcm, audioSignalMistakes } from '../utils/analysis/audio.js';
+import { parseLoudnessLog } from '../utils/media.js';
+
+// 8kHz mono PCM built from [seconds, hz, amplitude] pieces; hz 0 is silence
+function pcm(...pieces) {
+    const total = pieces.reduce((sum, [seconds]) => sum + seconds * 8000, 0);
+    const samples = new Int16Array(total);
+    let offset = 0;
+    for (const [seconds, hz, amplitude] of pieces) {
+        for (let i = 0; i < seconds * 8000; i++) {
+            samples[offset + i] = hz ? Math.max(-32768, Math.min(32767, Math.round(amplitude * Math.sin(2 * Math.PI * hz * i / 8000)))) : 0;
+        }
+        offset += seconds * 8000;
+    }
+    return samples;
+}
+
+test('ebur128 frame log and summary are parsed, silence as -120', () => {
+    const stderr = [
+        '[Parsed_ebur128_0 @ 0x5581] t: 0.1       TARGET:-23 LUFS    M: -inf S: -inf     I: -70.0 LUFS       LRA:   0.0 LU',
+        '[Parsed_ebur128_0 @ 0x5581] t: 0.499977  TARGET:-23 LUFS    M: -25.3 S:-120.7     I: -25.3 LUFS       LRA:   0.0 LU',
+        '[Parsed_ebur128_0 @ 0x5581] Summary:',
+        '',
+        '  Integrated loudness:',
+        '    I:         -19.6 LUFS',
+        '    Threshold: -29.9 LUFS',
+        '',
+        '  Loudness range:',
+        '    LRA:         5.2 LU'
+    ].join('\n');
+
+    assert.deepEqual(parseLoudnessLog(stderr), {
+        integrated: -19.6,
+        range: 5.2,
+        frames: [
+            { time: 0.1, momentary: -120, shortTerm: -120 },
+            { time: 0.499977, momentary: -25.3, shortTerm: -120.7 }
+        ]
+    });
+    assert.deepEqual(parseLoudnessLog('Invalid data found when processing input'), { integrated: null, range: null, frames: [] });
+});
+
+test('a steady tone reads as one pitch per window and gets flagged as monotone', async () => {
+    const audio = await analyzePcm(pcm([30, 200, 8000], [5, 0, 0]));
+
+    assert.equal(audio.duration, 35);
+    assert.deepEqual(audio.pitchOverTime.map(w => [w.timestamp, w.medianHz, w.variationSemitones]), [
+        ['0:00', 200, 0], ['0:10', 200, 0], ['0:20', 200, 0]
+    ]);
+    assert.equal(audio.noiseFloorDb, -120);
+    assert.deepEqual(audio.clipping, { clippedSamples: 0, events: [] });
+
+    const mistakes = audioSignalMistakes({ available: true, integratedLoudness: -20, loudnessOverTime: [], ...audio });
+    assert.deepEqual(mistakes.map(m => m.timestamp), ['0:00']);
+    assert.match(mistakes[0].text, /^Monotone section 0:00–0:30/);
+});
+
+test('windows with under a second of voice get no pitch reading', async () => {
+    const audio = await analyzePcm(pcm([9.5, 0, 0], [0.5, 150, 8000]));
+    assert.deepEqual(audio.pitchOverTime, []);
+});
+
+test('clipped samples are merged into events', async () => {
+    const audio = await analyzePcm(pcm([1, 150, 40000], [2, 0, 0], [1, 150, 40000]));
+    assert.deepEqual(audio.clipping.events.map(e => e.timestamp), ['0:00', '0:03']);
+    assert.equal(audio.peakDb, 0);
+});
+
+test('long recordings let other work run while the pitch is analysed', async () => {
+    let turns = 0;
+    let running = true;
+    const tick = () => { turns++; if (running) setImmediate(tick); };
+    setImmediate(tick);
+
+    await analyzePcm(pcm([120, 180, 6000]));
+    running = false;
+    assert.ok(turns >= 12, `event loop only got ${turns} turns`);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFillers, peakFillerTimestamp } from '../utils/analysis/fillers.js';
+
+const fillersIn = (text) => detectFillers({ text, segments: [] }).occurrences.map(o => o.word);
+
+test('hesitation sounds always count', () => {
+    assert.deepEqual(fillersIn('Um, I think uh the answer is basically yes.'), ['um', 'uh', 'basically']);
+});
+
+test('"like" only counts when it is used as filler', () => {
+    assert.deepEqual(fillersIn('I used tools like React and would like to learn Vue.'), []);
+    assert.deepEqual(fillersIn('And like, we had no tests.'), ['like']);
+    assert.deepEqual(fillersIn('Like most teams, we shipped on Fridays.'), []);
+    assert.deepEqual(fillersIn('Like, it was a mess.'), ['like']);
+});
+
+test('"yeah" counts when it trails off, not when it answers', () => {
+    assert.deepEqual(fillersIn('Yeah, I led that migration.'), []);
+    assert.deepEqual(fillersIn('We rolled it back. So yeah, that was it.'), ['so', 'yeah']);
+    assert.deepEqual(fillersIn('It mostly worked, yeah.'), ['yeah']);
+});
+
+test('"you know" counts unless it introduces a clause or is negated', () => {
+    assert.deepEqual(fillersIn('It was, you know, a hard sprint.'), ['you know']);
+    assert.deepEqual(fillersIn('You know that the cache was stale.'), []);
+    assert.deepEqual(fillersIn('I did not know, if you know what I mean.'), []);
+});
+
+test('"kind of" after a determiner is a real phrase', () => {
+    assert.deepEqual(fillersIn('What kind of database would you pick?'), []);
+    assert.deepEqual(fillersIn('It was kind of slow.'), ['kind of']);
+});
+
+test('sentence-opening "so" and "well" count only when set apart', () => {
+    assert.deepEqual(fillersIn('So, I rewrote it. Well, mostly.'), ['so', 'well']);
+    assert.deepEqual(fillersIn('It was slow so I rewrote it well.'), []);
+});
+
+test('counts, rate and per-minute density come from the word timings', () => {
+    const fillers = detectFillers({
+        text: '',
+        duration: 120,
+        segments: [
+            { start: 0, end: 10, text: 'Um I started with the logs.' },
+            { start: 70, end: 80, text: 'Uh then um I fixed it.' }
+        ]
+    });
+    assert.equal(fillers.total, 3);
+    assert.equal(fillers.wordCount, 12);
+    assert.equal(fillers.ratePer100Words, 25);
+    assert.equal(fillers.perMinute, 1.5);
+    assert.deepEqual(fillers.byWord, { um: 2, uh: 1 });
+    assert.deepEqual(fillers.density.map(d => d.fillers), [1, 2]);
+    assert.equal(peakFillerTimestamp(fillers), '1:10');
+});
+
+test('no fillers means no peak', () => {
+    assert.equal(peakFillerTimestamp(detectFillers({ text: 'Clean answer.', segments: [] })), null);
+});
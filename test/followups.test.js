@@ -0,0 +1,59 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Nothing listens on port 9, so the OpenAI-compatible adapter fails at once; no retries keeps it quick
+process.env.LLM_MAX_RETRIES = '0';
+const { generateFollowups, ruleFollowups } = await import('../utils/followups.js');
+
+const story = 'Tell me about a time you improved a slow system.';
+const teamAnswer = 'We moved the service to Docker and we added caching with Redis and we tuned the queries, and I reviewed the changes. It took a while to roll out.';
+
+afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_BASE_URL;
+});
+
+test('rules probe the biggest gaps in the answer first', () => {
+    const followups = ruleFollowups(story, teamAnswer, 'Software Engineer', 4);
+    assert.deepEqual(followups.map(f => f.rule), ['no-result', 'no-metrics', 'we-not-i', 'no-action']);
+    assert.ok(followups.every(f => f.source === 'rules'));
+    // Lexicon terms are quoted the way the candidate said them
+    assert.equal(followups[1].text, 'What measurable difference did your work on caching make - can you put a number on it?');
+});
+
+test('a dodged question gets a chance to answer hypothetically', () => {
+    const [first] = ruleFollowups(story, "I don't know, I have never had to do that.", 'Software Engineer');
+    assert.equal(first.rule, 'evasive');
+    assert.equal(first.reason, 'The answer sidestepped the question');
+});
+
+test('a complete answer is probed for depth and reflection', () => {
+    const answer = 'At my last job the slow system was checkout, which timed out every evening. My role was to fix it before the sale. I profiled the queries and added an index. As a result, it improved so much that errors dropped by 90% and I learned to load test earlier.';
+    assert.deepEqual(ruleFollowups(story, answer, '', 3).map(f => f.rule), ['depth', 'reflection']);
+});
+
+test('without an LLM the follow-ups come from the rules', async () => {
+    process.env.LLM_PROVIDER = 'none';
+    const result = await generateFollowups(story, teamAnswer, 'Software Engineer');
+    assert.equal(result.source, 'rules');
+    assert.equal(result.model, null);
+    assert.deepEqual(result.followups.map(f => f.rule), ['no-result', 'no-metrics']);
+});
+
+test('the model writes the follow-ups when it is available', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    const result = await generateFollowups(story, teamAnswer, 'Software Engineer', 2);
+    assert.equal(result.source, 'mock');
+    assert.equal(result.model, 'mock-1');
+    assert.equal(result.followups.length, 2);
+    assert.ok(result.followups.every(f => f.source === 'mock' && f.text.endsWith('?')));
+});
+
+test('a failing model falls back to the rules', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_BASE_URL = 'http://127.0.0.1:9/v1';
+    const result = await generateFollowups(story, teamAnswer, 'Software Engineer', 1);
+    assert.equal(result.source, 'rules');
+    assert.deepEqual(result.followups.map(f => f.rule), ['no-result']);
+});
@@ -0,0 +1,76 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJob, getJob, isFinished, subscribeToJob } from '../utils/jobs.js';
+
+// The queue logs every job it takes; Node 20's test runner can choke on that much interleaved stdout
+mock.method(console, 'log', () => {});
+
+// Resolves with the job's final state
+function finished(id) {
+    return new Promise((resolve) => {
+        const unsubscribe = subscribeToJob(id, (state) => {
+            if (!isFinished(state)) return;
+            unsubscribe();
+            resolve(state);
+        });
+    });
+}
+
+test('jobs run one at a time and report their place in the queue', async () => {
+    let release;
+    const first = createJob(() => new Promise((resolve) => { release = resolve; }), { ownerId: 'u1' });
+    const second = createJob(async () => ({ ok: true }), { ownerId: 'u1' });
+
+    assert.equal(first.status, 'queued');
+    assert.equal(first.stage, 'audio-extraction');
+    assert.equal(first.progress, 25);
+    assert.deepEqual(first.stages.map(s => s.status), ['done', 'active', 'pending', 'pending']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(getJob(first.id, 'u1').status, 'running');
+    assert.equal(getJob(second.id, 'u1').queuePosition, 1);
+
+    release({ rating: 7 });
+    const done = await finished(first.id);
+    assert.equal(done.progress, 100);
+    assert.deepEqual(done.result, { rating: 7 });
+    assert.ok(done.stages.every(s => s.status === 'done'));
+    assert.deepEqual((await finished(second.id)).result, { ok: true });
+});
+
+test('stage updates move the progress forward and unknown stages are ignored', async () => {
+    const updates = [];
+    let job = null;
+    job = createJob(async (onStage) => {
+        onStage('not-a-stage');
+        onStage('transcription', 'Transcribing 1:20 of audio');
+        updates.push(getJob(job.id));
+        onStage('analysis');
+        updates.push(getJob(job.id));
+        return {};
+    });
+    await finished(job.id);
+
+    assert.deepEqual(updates.map(u => [u.stage, u.progress]), [['transcription', 50], ['analysis', 75]]);
+    assert.equal(updates[0].detail, 'Transcribing 1:20 of audio');
+});
+
+test('a failed task keeps its error code and message', async () => {
+    const job = createJob(async () => {
+        const error = new Error('ffmpeg is not installed');
+        error.code = 'FFMPEG_MISSING';
+        throw error;
+    });
+    const state = await finished(job.id);
+    assert.equal(state.status, 'failed');
+    assert.deepEqual(state.error, { code: 'FFMPEG_MISSING', message: 'ffmpeg is not installed' });
+});
+
+test("other users' jobs look like missing ones", async () => {
+    const job = createJob(async () => ({}), { ownerId: 'owner' });
+    assert.equal(getJob(job.id, 'someone-else'), null);
+    assert.equal(getJob(job.id), null);
+    assert.equal(getJob('no-such-job', 'owner'), null);
+    assert.equal(getJob(job.id, 'owner').id, job.id);
+    await finished(job.id);
+});
@@ -0,0 +1,119 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicons-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function lexiconDir(name, files) {
+    const dir = path.join(root, name);
+    fs.mkdirSync(dir);
+    for (const [file, data] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+    return dir;
+}
+
+// LEXICON_DIR is read when the module loads, so every directory gets a fresh module instance
+async function lexiconModule(dir) {
+    process.env.LEXICON_DIR = dir;
+    try {
+        return await import(`../utils/analysis/lexicon.js?${path.basename(dir)}`);
+    } finally {
+        delete process.env.LEXICON_DIR;
+    }
+}
+
+const general = {
+    role: 'general',
+    version: 1,
+    keywords: [],
+    concepts: [{ id: 'communication', label: 'Communication', weight: 1, terms: ['stakeholder'] }]
+};
+const backend = {
+    role: 'backend',
+    title: 'Backend',
+    version: 2,
+    priority: 1,
+    keywords: ['backend', 'api'],
+    concepts: [
+        { id: 'testing', label: 'Testing', weight: 2, terms: ['test', 'unit test', 'integration test'] },
+        { id: 'caching', label: 'Caching', weight: 3, terms: ['cache', 'redis'] },
+        { id: 'queues', label: 'Queues', weight: 1, terms: ['queue', 'kafka'] },
+        { id: 'databases', label: 'Databases', weight: 2, terms: ['query', 'index'] }
+    ]
+};
+
+const { lexiconForField, normalizeForMatching, scoreVocabulary } = await lexiconModule(lexiconDir('valid', {
+    'general.json': general,
+    'backend.json': backend
+}));
+
+test('normalizeForMatching pads lowercase words with single spaces', () => {
+    assert.equal(normalizeForMatching('C++ and C#, Node.js!'), ' c++ and c# node js ');
+});
+
+test('the field picks a lexicon by whole-word keyword, falling back to general', () => {
+    assert.equal(lexiconForField('Senior Backend Engineer').role, 'backend');
+    assert.equal(lexiconForField('API designer').role, 'backend');
+    assert.equal(lexiconForField('Apiary manager').role, 'general');
+});
+
+test('longer terms claim their words first and plurals count', () => {
+    const vocabulary = scoreVocabulary(
+        'We wrote unit tests and integration tests, then a test for the Redis cache; slow queries got an index.',
+        'backend'
+    );
+
+    assert.deepEqual(vocabulary.lexicon, { role: 'backend', title: 'Backend', version: 2 });
+    assert.deepEqual(vocabulary.mentioned.map(c => [c.id, c.count]), [['testing', 3], ['caching', 2], ['databases', 2]]);
+    assert.deepEqual(vocabulary.mentioned[0].terms, ['integration test', 'unit test', 'test']);
+    assert.equal(vocabulary.terms, 7);
+    assert.equal(vocabulary.score, 16);
+    assert.equal(vocabulary.coverage, 88);
+    assert.deepEqual(vocabulary.missing, [{ id: 'queues', label: 'Queues', weight: 1, examples: ['kafka', 'queue'] }]);
+});
+
+test('repeating a concept stops adding to the score after three mentions', () => {
+    const vocabulary = scoreVocabulary('cache cache cache cache', 'backend');
+    assert.equal(vocabulary.mentioned[0].count, 4);
+    assert.equal(vocabulary.score, 9);
+});
+
+test('terms only match whole words', () => {
+    assert.equal(scoreVocabulary('The contest was about indexing.', 'backend').terms, 0);
+});
+
+test('invalid lexicons are reported together', async () => {
+    const { loadLexicons } = await lexiconModule(lexiconDir('invalid', {
+        'broken.json': {
+            role: 'broken',
+            version: 1,
+            keywords: ['broken'],
+            concepts: [
+                { id: 'a', label: 'A', weight: 5, terms: ['alpha'] },
+                { id: 'a', label: 'A again', weight: 1, terms: ['!!!'] }
+            ]
+        }
+    }));
+
+    assert.throws(loadLexicons, (error) => {
+        assert.equal(error.code, 'INVALID_LEXICON');
+        assert.deepEqual(error.problems, [
+            'broken.json concept 1 (a): weight must be an integer from 1 to 3',
+            'broken.json concept 2 (a): duplicate id',
+            'broken.json concept 2 (a): terms must be a non-empty list of words or phrases'
+        ]);
+        return true;
+    });
+});
+
+test('a general lexicon is required', async () => {
+    const { loadLexicons } = await lexiconModule(lexiconDir('no-general', { 'backend.json': backend }));
+    assert.throws(loadLexicons, /a "general" lexicon is required/);
+});
+
+test('the shipped lexicons are valid', async () => {
+    const { loadLexicons } = await import('../utils/analysis/lexicon.js?shipped');
+    assert.ok(loadLexicons().some(l => l.role === 'general'));
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Answers each request with the next [status, body] the test queued
+const responses = [];
+let requests = 0;
+const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+        requests++;
+        const [status, body] = responses.shift() || [500, 'nothing queued'];
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+});
+const reply = (content) => [200, { model: 'stub', choices: [{ message: { content } }], usage: { prompt_tokens: 12, completion_tokens: 3 } }];
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+after(() => server.close());
+
+process.env.LLM_MAX_RETRIES = '1';
+const { complete, completeJson, parseJsonReply, parseRetries } = await import('../utils/llm/index.js');
+
+test('JSON is found inside code fences and prose', () => {
+    assert.deepEqual(parseJsonReply('{"score": 7}'), { score: 7 });
+    assert.deepEqual(parseJsonReply('```json\n{"items": [1, 2]}\n```'), { items: [1, 2] });
+    assert.deepEqual(parseJsonReply('Here you go: [{"a": 1}] Hope that helps!'), [{ a: 1 }]);
+});
+
+test('a reply with no JSON is LLM_MALFORMED and not retryable', () => {
+    for (const text of ['Sorry, I cannot help with that.', '{"score": ', '', null]) {
+        assert.throws(() => parseJsonReply(text), { code: 'LLM_MALFORMED', retryable: false });
+    }
+});
+
+test('LLM_MAX_RETRIES takes whole numbers up to the limit', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(parseRetries(undefined), 2);
+    assert.equal(parseRetries(' '), 2);
+    assert.equal(parseRetries('0'), 0);
+    assert.equal(parseRetries('3'), 3);
+    assert.equal(parseRetries('50'), 5);
+    assert.equal(warn.mock.callCount(), 0);
+
+    assert.equal(parseRetries('abc'), 2);
+    assert.equal(parseRetries('1.5'), 2);
+    assert.equal(parseRetries('-1'), 2);
+    assert.equal(warn.mock.callCount(), 3);
+});
+
+test('server errors are retried and the reply reports the attempts', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    responses.push([503, 'overloaded'], reply('{"ok": true}'));
+    requests = 0;
+
+    const result = await completeJson({ prompt: 'Score this', label: 'test' });
+    assert.deepEqual(result.json, { ok: true });
+    assert.equal(result.attempts, 2);
+    assert.equal(result.provider, 'openai');
+    assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 3 });
+    assert.equal(requests, 2);
+});
+
+test('retries stop at LLM_MAX_RETRIES and client errors are not retried', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    responses.push([500, 'down'], [502, 'still down']);
+    requests = 0;
+    await assert.rejects(complete({ prompt: 'Hi', label: 'test' }), { code: 'LLM_HTTP_ERROR', status: 502, attempts: 2 });
+    assert.equal(requests, 2);
+
+    responses.push([400, 'bad request']);
+    requests = 0;
+    await assert.rejects(complete({ prompt: 'Hi', label: 'test' }), { code: 'LLM_HTTP_ERROR', status: 400, attempts: 1 });
+    assert.equal(requests, 1);
+});
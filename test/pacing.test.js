@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePacing, pacingMistakes } from '../utils/analysis/pacing.js';
+
+// Eight half-second words starting at `start`
+function segment(start) {
+    const words = Array.from({ length: 8 }, (_, i) => ({ word: `word${i}`, start: start + i * 0.5, end: start + (i + 1) * 0.5 }));
+    return { start, end: start + 4, text: words.map(w => w.word).join(' '), words, confidence: 0.9 };
+}
+
+// Six seconds of silence before the first answer and between the two answers
+const transcription = { text: '', duration: 24, segments: [segment(6), segment(16)] };
+
+test('rate, dead air, talk time and clarity come from word timings', () => {
+    const metrics = computePacing(transcription);
+    assert.equal(metrics.speechRate, 69);
+    assert.equal(metrics.deadAirStart, 6);
+    assert.equal(metrics.deadAirEnd, 4);
+    assert.equal(metrics.talkTimeRatio, 33);
+    assert.equal(metrics.clarity, 90);
+    assert.equal(metrics.timingEstimated, false);
+    assert.deepEqual(metrics.wpmOverTime, [{ start: '0:00', seconds: 0, wpm: 40 }]);
+});
+
+test('silences of three seconds or more are long pauses', () => {
+    const metrics = computePacing(transcription);
+    assert.equal(metrics.longPauses, 1);
+    assert.deepEqual(metrics.pauses, [{ start: 10, timestamp: '0:10', duration: 6 }]);
+});
+
+test('a silence leading into the next answer is not a pause', () => {
+    assert.equal(computePacing(transcription, { boundaries: [16] }).longPauses, 0);
+});
+
+test('fewer than two timed words give no metrics', () => {
+    assert.equal(computePacing({ text: 'Hello there', segments: [] }), null);
+    assert.deepEqual(pacingMistakes(null), []);
+});
+
+test('slow pace, a late start and a long pause each get timestamped feedback', () => {
+    const mistakes = pacingMistakes(computePacing(transcription));
+    assert.deepEqual(mistakes.map(m => m.timestamp), ['0:00', '0:00', '0:10']);
+    assert.match(mistakes[0].text, /pace is slow \(69 WPM/);
+    assert.match(mistakes[1].text, /^6s of silence/);
+    assert.match(mistakes[2].text, /^Long 6s pause/);
+});
+
+test('a pace inside the ideal range gets no pace feedback', () => {
+    const metrics = { speechRate: 140, wpmOverTime: [{ start: '0:00', wpm: 140 }], deadAirStart: 0, pauses: [] };
+    assert.deepEqual(pacingMistakes(metrics), []);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchRole, parseQuestionFilters, selectQuestions } from '../utils/questionBank.js';
+
+const select = (filters, count = 5) => selectQuestions('Software Engineer', count, parseQuestionFilters(filters));
+
+test('unknown filter values are rejected', () => {
+    assert.throws(() => parseQuestionFilters({ difficulty: 'brutal' }), { code: 'INVALID_FILTER', status: 400 });
+});
+
+test('filters the bank can satisfy are not loosened', () => {
+    const result = select({ difficulty: 'easy' });
+    assert.ok(result.available >= 5);
+    assert.deepEqual(result.relaxed, []);
+    assert.ok(result.questions.every(q => q.difficulty === 'easy'));
+});
+
+test('a tag nothing matches is dropped instead of returning no questions', () => {
+    const result = select({ tags: 'no-such-tag' });
+    assert.equal(result.available, 0);
+    assert.deepEqual(result.relaxed, ['tags']);
+    assert.equal(result.questions.length, 5);
+    assert.equal(new Set(result.questions.map(q => q.id)).size, 5);
+});
+
+test('filters are loosened in order and the category is kept', () => {
+    const result = select({ category: 'behavioral', difficulty: 'hard', tags: 'no-such-tag' });
+    assert.deepEqual(result.relaxed, ['tags', 'difficulty']);
+    assert.equal(result.questions.length, 5);
+    assert.ok(result.questions.every(q => q.category === 'behavioral'));
+});
+
+test('strict matches come before the ones a loosened filter let in', () => {
+    const result = select({ seniority: 'lead', difficulty: 'easy' }, 8);
+    assert.ok(result.available > 0 && result.available < 8);
+    assert.deepEqual(result.relaxed, ['seniority']);
+    assert.ok(result.questions.every(q => q.difficulty === 'easy'));
+    assert.ok(result.questions.slice(0, result.available).every(q => q.seniority.includes('lead')));
+});
+
+test('roles are matched on whole words, not substrings', () => {
+    assert.equal(matchRole('JavaScript developer').role, 'software');
+    assert.equal(matchRole('Internal tools engineer').role, 'software');
+    assert.equal(matchRole('Java developer').role, 'java');
+    assert.equal(matchRole('Software engineering intern').role, 'intern');
+    assert.equal(matchRole('Entry-level analyst').role, 'intern');
+});
+
+test('a pasted job description is matched on whole words too', () => {
+    assert.equal(matchRole('Analyst', 'We build internal dashboards in JavaScript.').role, 'general');
+    assert.equal(matchRole('Analyst', 'You will maintain our Spring services.').role, 'java');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateMix, controlsPrompt, parseGenerationControls, parseMix, requiresQuestionBank } from '../utils/questionControls.js';
+
+test('parseMix accepts objects and "type:share" strings and normalizes the shares', () => {
+    assert.deepEqual(parseMix({ behavioral: 40, technical: 60 }), { behavioral: 0.4, technical: 0.6 });
+    assert.deepEqual(parseMix('Behavioral:1, technical:1,situational:0%'), { behavioral: 0.5, technical: 0.5 });
+    assert.equal(parseMix(''), null);
+    assert.equal(parseMix(undefined), null);
+});
+
+test('parseMix rejects unknown types, negative shares and empty mixes', () => {
+    const invalidMix = { code: 'INVALID_MIX', status: 400 };
+    assert.throws(() => parseMix({ trivia: 50 }), invalidMix);
+    assert.throws(() => parseMix({ technical: -1 }), invalidMix);
+    assert.throws(() => parseMix('technical:abc'), invalidMix);
+    assert.throws(() => parseMix({ technical: 0 }), invalidMix);
+    assert.throws(() => parseMix([40, 60]), invalidMix);
+});
+
+test('allocateMix hands out whole questions by largest remainder', () => {
+    assert.deepEqual(allocateMix({ behavioral: 0.4, technical: 0.6 }, 5), { behavioral: 2, technical: 3 });
+    assert.deepEqual(allocateMix({ behavioral: 1 / 3, technical: 1 / 3, situational: 1 / 3 }, 5), { behavioral: 2, technical: 2, situational: 1 });
+    assert.deepEqual(allocateMix({ behavioral: 0.1, technical: 0.9 }, 3), { behavioral: 0, technical: 3 });
+});
+
+test('allocateMix always adds up to the requested count', () => {
+    const mix = { behavioral: 0.2, technical: 0.45, situational: 0.35 };
+    for (let count = 1; count <= 20; count++) {
+        assert.equal(Object.values(allocateMix(mix, count)).reduce((sum, n) => sum + n, 0), count);
+    }
+});
+
+test('categories without shares become an even mix', () => {
+    const controls = parseGenerationControls({ category: 'behavioral,technical' });
+    assert.deepEqual(controls.mix, { behavioral: 0.5, technical: 0.5 });
+    assert.equal(requiresQuestionBank(controls), false);
+});
+
+test('tags can only be honored by the question bank', () => {
+    assert.equal(requiresQuestionBank(parseGenerationControls({ tags: 'sql' })), true);
+});
+
+test('the prompt spells out seniority, difficulty and the remaining mix', () => {
+    const controls = parseGenerationControls({ seniority: 'senior', difficulty: 'hard', jobDescription: '  Build payment APIs.  ' });
+    const prompt = controlsPrompt(controls, { behavioral: 0, technical: 3 });
+    assert.match(prompt, /senior-level candidate/);
+    assert.match(prompt, /Difficulty: hard/);
+    assert.match(prompt, /Question mix: exactly 3 technical$/m);
+    assert.match(prompt, /"""\nBuild payment APIs\.\n"""/);
+});
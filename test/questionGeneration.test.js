@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionFilters } from '../utils/questionBank.js';
+import { questionProblem, validateGeneratedQuestions } from '../utils/questionGeneration.js';
+
+const question = (text, extra = {}) => ({ text, category: 'technical', difficulty: 'hard', seniority: 'senior', ...extra });
+
+test('questionProblem accepts a well-formed question', () => {
+    assert.equal(questionProblem({ text: 'How would you shard a growing Postgres database?', category: 'technical' }), null);
+});
+
+test('questionProblem explains what is wrong', () => {
+    assert.equal(questionProblem(null), 'missing text');
+    assert.equal(questionProblem({ text: 'Why Redis?', category: 'technical' }), 'too short (2 words)');
+    assert.equal(questionProblem({ text: `${'very '.repeat(60)}long?`, category: 'technical' }), 'too long (61 words)');
+    assert.equal(questionProblem({ text: 'Tell me about a time you disagreed with your manager.', category: 'behavioral' }), 'does not end with "?"');
+    assert.equal(questionProblem({ text: 'How would you shard a growing Postgres database?', category: 'trivia' }), 'unknown category "trivia"');
+});
+
+test('questionProblem spots duplicates regardless of case and punctuation', () => {
+    const seen = new Set(['how would you shard a growing postgres database']);
+    assert.equal(questionProblem({ text: 'How would you SHARD a growing Postgres-database?', category: 'technical' }, seen), 'duplicate');
+});
+
+test('validation cleans numbering and whitespace and tags seniority as a list', () => {
+    const { accepted, rejected } = validateGeneratedQuestions([
+        { text: '1.  How would you   design a rate limiter for an API?', category: 'Technical', difficulty: 'medium', seniority: 'mid' },
+        { text: '2) What would you log first when a release breaks checkout?', category: 'situational', difficulty: 'impossible' }
+    ]);
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(accepted, [
+        { text: 'How would you design a rate limiter for an API?', category: 'technical', difficulty: 'medium', seniority: ['mid'] },
+        { text: 'What would you log first when a release breaks checkout?', category: 'situational', difficulty: null, seniority: [] }
+    ]);
+});
+
+test('validation enforces the category quota', () => {
+    const quota = { behavioral: 1, technical: 0 };
+    const { accepted, rejected } = validateGeneratedQuestions([
+        question('How would you design a rate limiter for an API?'),
+        question('Tell me about a time you had to push back on a deadline?', { category: 'behavioral' }),
+        question('Describe a time you mentored a struggling teammate to success?', { category: 'behavioral' })
+    ], { quota });
+
+    assert.deepEqual(accepted.map(q => q.category), ['behavioral']);
+    assert.deepEqual(rejected.map(r => r.reason), [
+        'more technical questions than the mix asks for',
+        'more behavioral questions than the mix asks for'
+    ]);
+    assert.deepEqual(quota, { behavioral: 0, technical: 0 });
+});
+
+test('validation rejects questions that miss the requested difficulty or seniority', () => {
+    const filters = parseQuestionFilters({ difficulty: 'hard', seniority: 'senior,lead' });
+    const { accepted, rejected } = validateGeneratedQuestions([
+        question('How would you design a rate limiter for an API?', { difficulty: 'easy' }),
+        question('How would you migrate a monolith to services safely?', { seniority: 'junior' }),
+        question('How would you debug a memory leak in production?', { difficulty: undefined }),
+        question('How would you run a multi-region failover drill?', { seniority: 'lead' })
+    ], { filters });
+
+    assert.deepEqual(accepted.map(q => q.text), ['How would you run a multi-region failover drill?']);
+    assert.deepEqual(rejected.map(r => r.reason), [
+        'difficulty easy, asked for hard',
+        'seniority junior, asked for senior or lead',
+        'difficulty missing, asked for hard'
+    ]);
+});
+
+test('rejected questions do not use up the quota or block a later duplicate', () => {
+    const seen = new Set();
+    const quota = { technical: 1 };
+    const filters = parseQuestionFilters({ difficulty: 'hard' });
+    const { accepted } = validateGeneratedQuestions([
+        question('How would you design a rate limiter for an API?', { difficulty: 'easy' }),
+        question('How would you design a rate limiter for an API?')
+    ], { seen, quota, filters });
+
+    assert.equal(accepted.length, 1);
+    assert.deepEqual(quota, { technical: 0 });
+    assert.ok(seen.has('how would you design a rate limiter for an api'));
+});
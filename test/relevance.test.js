@@ -0,0 +1,66 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreAnswerRelevance, scoreRelevanceLocally } from '../utils/analysis/relevance.js';
+
+const answer = (text, start = 0, index = 0) => ({ index, start, text, segments: [{ start, end: start + 10, text }] });
+
+const question = 'How would you design a caching layer for a slow product catalog?';
+
+afterEach(() => { delete process.env.LLM_PROVIDER; });
+
+test('an answer covering the question terms is on-topic', () => {
+    const result = scoreRelevanceLocally(question, answer('I would put a caching layer in front of the product catalog and design the keys around catalog versions so a slow query only runs once.'));
+    assert.equal(result.verdict, 'on-topic');
+    assert.equal(result.score, 100);
+    assert.deepEqual(result.matchedTerms, ['design', 'cach', 'layer', 'slow', 'product', 'catalog']);
+    assert.equal(result.source, 'local');
+});
+
+test('question boilerplate does not count as a topic', () => {
+    const result = scoreRelevanceLocally('Tell me about a time you had to handle a specific situation.', answer('I once had a project where everything went wrong at the same time.'));
+    assert.equal(result.verdict, 'unknown');
+    assert.equal(result.score, null);
+});
+
+test('short or dodging answers are evasive, timed at the dodge', () => {
+    assert.equal(scoreRelevanceLocally(question, answer('Redis, probably.')).reason, 'The question was barely answered');
+
+    const dodge = {
+        index: 0,
+        start: 30,
+        text: 'Hmm, caching is a big topic. Honestly I have no idea where I would even begin with that.',
+        segments: [
+            { start: 30, end: 34, text: 'Hmm, caching is a big topic.' },
+            { start: 34, end: 40, text: 'Honestly I have no idea where I would even begin with that.' }
+        ]
+    };
+    const result = scoreRelevanceLocally(question, dodge);
+    assert.equal(result.verdict, 'evasive');
+    assert.equal(result.timestamp, '0:34');
+});
+
+test('an answer about something else is off-topic', () => {
+    const result = scoreRelevanceLocally(question, answer('The catalog team and I mostly argued about ownership of the deploy pipeline for months.'));
+    assert.equal(result.verdict, 'off-topic');
+    assert.match(result.reason, /only touches 1 of 6 key topics/);
+});
+
+test('without an LLM the local scores are returned for answers that have a question', async () => {
+    process.env.LLM_PROVIDER = 'none';
+    const results = await scoreAnswerRelevance([question], [
+        answer('I would put a caching layer in front of the product catalog so a slow query only runs once.'),
+        answer('This answer has no question to go with it at all, it is extra.', 60, 1)
+    ]);
+    assert.deepEqual(results.map(r => [r.questionIndex, r.source]), [[0, 'local']]);
+});
+
+test('the model judgment replaces the local score for the answers it returns', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    const [result] = await scoreAnswerRelevance([question], [
+        answer('I honestly do not know, I am not sure I have ever had to build anything like that before.')
+    ]);
+    assert.equal(result.source, 'mock');
+    assert.equal(result.verdict, 'evasive');
+    assert.ok(result.score <= 10);
+    assert.match(result.reason, /^Mock judgment/);
+});
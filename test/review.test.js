@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// An OpenAI-compatible endpoint that answers with whatever the test queued
+const replies = [];
+const prompts = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        prompts.push(JSON.parse(body).messages.at(-1).content);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ model: 'stub', choices: [{ message: { content: replies.shift() } }], usage: {} }));
+    });
+});
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+after(() => server.close());
+
+process.env.LLM_MAX_RETRIES = '0';
+const { reviewTranscript } = await import('../utils/analysis/review.js');
+
+const transcription = {
+    segments: [
+        { start: 0, end: 6, text: 'I led the move from cron jobs to a queue.' },
+        { start: 6, end: 14, text: 'Um, it basically worked out in the end I guess.' }
+    ]
+};
+
+test('only items that match a segment, a timestamp inside it and a verbatim quote are kept', async () => {
+    replies.push(JSON.stringify({
+        summary: ' Clear ownership, weak ending. ',
+        strengths: [
+            { segment: 0, timestamp: '0:02', quote: 'I led the move', text: 'Owns the work' },
+            { segment: 0, timestamp: '0:40', quote: 'I led the move', text: 'Wrong time' },
+            { segment: 5, timestamp: '0:02', quote: 'I led the move', text: 'No such segment' }
+        ],
+        mistakes: [
+            { segment: 1, timestamp: '0:08', quote: 'it basically worked out', text: 'Say what the result was' },
+            { segment: 1, timestamp: '0:08', quote: 'we tripled throughput', text: 'Invented quote' }
+        ],
+        tips: ['Close with a number', '   ']
+    }));
+
+    const review = await reviewTranscript(transcription, 'Software Engineer');
+    assert.equal(review.source, 'openai');
+    assert.equal(review.summary, 'Clear ownership, weak ending.');
+    assert.deepEqual(review.strengths, [{ timestamp: '0:02', seconds: 2, quote: 'I led the move', text: 'Owns the work' }]);
+    assert.deepEqual(review.mistakes.map(m => m.quote), ['it basically worked out']);
+    assert.deepEqual(review.tips, ['Close with a number']);
+    assert.deepEqual(review.rejected.map(r => r.reason), [
+        'timestamp 0:40 is outside segment 0 (0:00-0:06)',
+        'segment 5 does not exist',
+        'quote "we tripled throughput" is not in segment 1'
+    ]);
+});
+
+test('segments left out of the prompt cannot be cited', async () => {
+    const long = {
+        segments: Array.from({ length: 205 }, (_, i) => ({ start: i * 2, end: i * 2 + 2, text: `Point number ${i} about caching.` }))
+    };
+    replies.push(JSON.stringify({
+        summary: '',
+        strengths: [
+            { segment: 199, timestamp: '6:38', quote: 'Point number 199', text: 'Shown' },
+            { segment: 203, timestamp: '6:46', quote: 'Point number 203', text: 'Never shown' }
+        ],
+        mistakes: [],
+        tips: []
+    }));
+
+    const review = await reviewTranscript(long, 'Software Engineer');
+    assert.match(prompts.at(-1), /\(5 later segments omitted\)/);
+    assert.deepEqual(review.strengths.map(s => s.quote), ['Point number 199']);
+    assert.deepEqual(review.rejected, [{ kind: 'strength', reason: 'segment 203 does not exist' }]);
+});
+
+test('a reply that is valid JSON but not an object leaves the heuristic feedback alone', async () => {
+    for (const reply of ['null', '42', '[]']) {
+        replies.push(reply);
+        assert.equal(await reviewTranscript(transcription, 'Software Engineer'), null);
+    }
+});
+
+test('no review without an LLM or without timed segments', async () => {
+    assert.equal(await reviewTranscript({ text: 'No timings here.', segments: [] }, 'Software Engineer'), null);
+
+    process.env.LLM_PROVIDER = 'none';
+    try {
+        assert.equal(await reviewTranscript(transcription, 'Software Engineer'), null);
+    } finally {
+        process.env.LLM_PROVIDER = 'openai';
+    }
+});
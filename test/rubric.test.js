@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { METRIC_PATTERN, loadRubric, scoreRubric } from '../utils/analysis/rubric.js';
+
+const transcription = { text: 'First I led the migration. As a result we cut costs by 50% and saved 200 hours.', segments: [] };
+const byId = (result) => Object.fromEntries(result.criteria.map(c => [c.id, c]));
+
+test('the default rubric has five criteria weighted to 100', () => {
+    const { version, criteria } = loadRubric();
+    assert.equal(version, 1);
+    assert.deepEqual(criteria.map(c => c.id), ['content', 'structure', 'delivery', 'relevance', 'confidence']);
+    assert.equal(criteria.reduce((sum, c) => sum + c.weight, 0), 100);
+});
+
+test('percentages and counted units are quantified results', () => {
+    assert.deepEqual(transcription.text.match(METRIC_PATTERN), ['50%', '200 hours']);
+});
+
+test('criteria that cannot be measured are left out of the weighted mean', () => {
+    const result = scoreRubric({ transcription });
+    const criteria = byId(result);
+
+    assert.equal(criteria.content.score, 3.3);
+    assert.equal(criteria.structure.score, 7);
+    assert.equal(criteria.confidence.score, 5.8);
+    assert.equal(criteria.delivery.score, null);
+    assert.equal(criteria.relevance.score, null);
+    assert.equal(criteria.delivery.share, 0);
+    assert.equal(result.formula, '(3.3 × 30 + 7 × 20 + 5.8 × 15) / 65');
+    assert.equal(result.overall, 5);
+});
+
+test('delivery loses points for fillers and pace, relevance averages the answers', () => {
+    const criteria = byId(scoreRubric({
+        transcription,
+        fillers: { ratePer100Words: 5, occurrences: [{ word: 'um', timestamp: '0:03' }] },
+        videoMetrics: { speechRate: 190 },
+        relevance: [{ score: 90, questionIndex: 0, verdict: 'on-topic' }, { score: 70, questionIndex: 1, verdict: 'partial' }]
+    }));
+
+    assert.equal(criteria.delivery.score, 5);
+    assert.deepEqual(criteria.delivery.evidence, [{ timestamp: '0:03', quote: '"um"', note: 'Filler word' }]);
+    assert.equal(criteria.relevance.score, 8);
+    assert.equal(criteria.relevance.share, 15);
+});
+
+test('scores are clamped to 0-10', () => {
+    const criteria = byId(scoreRubric({
+        transcription: { text: 'I think maybe I guess probably I suppose.', segments: [] },
+        relevance: [{ score: 0, questionIndex: 0, verdict: 'evasive' }]
+    }));
+    assert.equal(criteria.confidence.score, 0);
+});
+
+test('an invalid rubric file lists every problem', async () => {
+    const file = path.join(os.tmpdir(), `rubric-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+        version: 0,
+        criteria: [{ id: 'content', weight: 0 }, { id: 'content', weight: -1 }, { id: 'charisma', weight: 10 }]
+    }));
+    process.env.RUBRIC_PATH = file;
+    try {
+        // A fresh module instance picks up RUBRIC_PATH
+        const { loadRubric: loadOther } = await import('../utils/analysis/rubric.js?invalid');
+        assert.throws(loadOther, (error) => {
+            assert.equal(error.code, 'INVALID_RUBRIC');
+            assert.deepEqual(error.problems, [
+                'version must be a positive integer',
+                'criterion 2 (content): listed twice',
+                'criterion 2 (content): weight must be a non-negative number',
+                'criterion 3 (charisma): id must be one of content, structure, delivery, relevance, confidence'
+            ]);
+            return true;
+        });
+    } finally {
+        delete process.env.RUBRIC_PATH;
+        fs.rmSync(file, { force: true });
+    }
+});
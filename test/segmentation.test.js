@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkers, segmentAnswers } from '../utils/analysis/segmentation.js';
+
+const transcription = (segments) => ({
+    text: segments.map(s => s.text).join(' '),
+    duration: segments[segments.length - 1].end,
+    segments
+});
+
+const threeAnswers = transcription([
+    { start: 0, end: 4, text: 'I led the migration to a new billing system.' },
+    { start: 4, end: 9, text: 'It cut our invoice errors in half.' },
+    { start: 12, end: 16, text: 'For the second question, I would profile the slow query first.' },
+    { start: 16, end: 20, text: 'Then I would add an index.' },
+    { start: 26, end: 30, text: 'My biggest weakness is delegating.' }
+]);
+
+test('parseMarkers keeps positive numbers in order and ignores bad input', () => {
+    assert.deepEqual(parseMarkers('[12, "4", -1, "x", 0]'), [4, 12]);
+    assert.deepEqual(parseMarkers([30, 10]), [10, 30]);
+    assert.deepEqual(parseMarkers('not json'), []);
+    assert.deepEqual(parseMarkers({ at: 3 }), []);
+});
+
+test('a single question keeps the whole transcript in one answer', () => {
+    const { method, answers } = segmentAnswers(threeAnswers);
+    assert.equal(method, 'single');
+    assert.equal(answers.length, 1);
+    assert.equal(answers[0].segments.length, 5);
+    assert.equal(answers[0].end, 30);
+});
+
+test('Next Question markers win over cues and pauses', () => {
+    const { method, answers } = segmentAnswers(threeAnswers, { questionCount: 3, markers: [10, 22] });
+    assert.equal(method, 'marker');
+    assert.deepEqual(answers.map(a => a.segments.length), [2, 2, 1]);
+    assert.deepEqual(answers.map(a => a.end), [10, 22, 30]);
+});
+
+test('markers past the end of the recording are ignored', () => {
+    const { method } = segmentAnswers(threeAnswers, { questionCount: 2, markers: [45] });
+    assert.notEqual(method, 'marker');
+});
+
+test('spoken question cues split answers when there are no markers', () => {
+    const { method, answers } = segmentAnswers(threeAnswers, { questionCount: 2 });
+    assert.equal(method, 'cue');
+    assert.equal(answers.length, 2);
+    assert.equal(answers[1].start, 12);
+    assert.match(answers[1].text, /^For the second question/);
+});
+
+test('the longest pauses split answers when there are no markers or cues', () => {
+    const quiet = transcription(threeAnswers.segments.map(s => ({ ...s, text: s.text.replace('For the second question, ', '') })));
+    const { method, answers } = segmentAnswers(quiet, { questionCount: 3 });
+    assert.equal(method, 'pause');
+    assert.deepEqual(answers.map(a => a.start), [0, 12, 26]);
+});
+
+test('a transcript without segments falls back to its text', () => {
+    const { answers } = segmentAnswers({ text: ' Just text. ', segments: [] }, { questionCount: 3 });
+    assert.equal(answers.length, 1);
+    assert.equal(answers[0].text, 'Just text.');
+});
+
+test('cues only count at the start of a segment', () => {
+    const story = transcription([
+        { start: 0, end: 5, text: 'We had outgrown the cron setup.' },
+        { start: 5, end: 10, text: 'So the next question we had to solve was retries.' },
+        { start: 10, end: 14, text: 'The next question we had to solve was ordering.' },
+        { start: 17, end: 21, text: 'Okay, question two. I would start with the logs.' }
+    ]);
+    const { method, answers } = segmentAnswers(story, { questionCount: 2 });
+    assert.equal(method, 'cue');
+    assert.deepEqual(answers.map(a => a.start), [0, 17]);
+});
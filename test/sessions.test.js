@@ -0,0 +1,106 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Sessions and users are stored under DATA_DIR, read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_SECRET = 'test-secret';
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { insertUser } = await import('../utils/accounts/store.js');
+const { createSession, refreshSession, revokeByRefreshToken, revokeSession, verifyAccessToken } = await import('../utils/accounts/sessions.js');
+
+const user = { id: crypto.randomUUID(), name: 'Ada', email: 'ada@example.com', passwordHash: 'not-a-real-hash' };
+await insertUser(user);
+
+const signed = (claims) => {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${crypto.createHmac('sha256', 'test-secret').update(payload).digest('base64url')}`;
+};
+const rejectsWith = (promise, code) => assert.rejects(promise, { code, status: 401 });
+
+test('a fresh access token resolves the user without the password hash', async () => {
+    const { accessToken, refreshToken, expiresAt } = await createSession(user);
+    const { user: current, session } = await verifyAccessToken(accessToken);
+
+    assert.equal(current.id, user.id);
+    assert.equal(current.passwordHash, undefined);
+    assert.equal(session.userId, user.id);
+    assert.ok(refreshToken.length > 0);
+    assert.ok(Date.parse(expiresAt) > Date.now());
+});
+
+test('missing, malformed and tampered tokens are INVALID_TOKEN', async () => {
+    const { accessToken } = await createSession(user);
+    const [payload, signature] = accessToken.split('.');
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+    await rejectsWith(verifyAccessToken(undefined), 'INVALID_TOKEN');
+    await rejectsWith(verifyAccessToken('not-a-token'), 'INVALID_TOKEN');
+    await rejectsWith(verifyAccessToken(`${payload}.${flipped}`), 'INVALID_TOKEN');
+    await rejectsWith(verifyAccessToken(`${payload}.${signature}extra`), 'INVALID_TOKEN');
+    await rejectsWith(verifyAccessToken(`${payload}x.${signature}`), 'INVALID_TOKEN');
+});
+
+test('a multibyte signature of the right length is a 401, not a crash', async () => {
+    const { accessToken } = await createSession(user);
+    const [payload, signature] = accessToken.split('.');
+    await rejectsWith(verifyAccessToken(`${payload}.${'é'.repeat(signature.length)}`), 'INVALID_TOKEN');
+    await rejectsWith(verifyAccessToken(`${payload}.${'é'.repeat(signature.length / 2)}`), 'INVALID_TOKEN');
+});
+
+test('an expired access token is TOKEN_EXPIRED', async () => {
+    const { accessToken } = await createSession(user);
+    const { session } = await verifyAccessToken(accessToken);
+    await rejectsWith(verifyAccessToken(signed({ sid: session.id, uid: user.id, exp: Date.now() - 1000 })), 'TOKEN_EXPIRED');
+});
+
+test('revoking the session ends its access token', async () => {
+    const { accessToken } = await createSession(user);
+    const { session } = await verifyAccessToken(accessToken);
+    await revokeSession(session.id);
+    await rejectsWith(verifyAccessToken(accessToken), 'SESSION_REVOKED');
+});
+
+test('refreshing rotates the refresh token and keeps the session', async () => {
+    const first = await createSession(user);
+    const { session } = await verifyAccessToken(first.accessToken);
+
+    const second = await refreshSession(first.refreshToken);
+    assert.equal(second.user.id, user.id);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal((await verifyAccessToken(second.accessToken)).session.id, session.id);
+
+    // The old refresh token stops working as soon as it has been used
+    await rejectsWith(refreshSession(first.refreshToken), 'INVALID_REFRESH_TOKEN');
+    const third = await refreshSession(second.refreshToken);
+    assert.notEqual(third.refreshToken, second.refreshToken);
+});
+
+test('logging out with the refresh token ends the session', async () => {
+    const { accessToken, refreshToken } = await createSession(user);
+    await revokeByRefreshToken(refreshToken);
+
+    await rejectsWith(refreshSession(refreshToken), 'INVALID_REFRESH_TOKEN');
+    await rejectsWith(verifyAccessToken(accessToken), 'SESSION_REVOKED');
+    await rejectsWith(refreshSession(undefined), 'INVALID_REFRESH_TOKEN');
+});
+
+test('production refuses to run without a shared SESSION_SECRET', async () => {
+    const { loadSessionSecret } = await import('../utils/accounts/sessions.js?production');
+    const saved = { ...process.env };
+    delete process.env.SESSION_SECRET;
+    process.env.NODE_ENV = 'production';
+    try {
+        assert.throws(loadSessionSecret, { code: 'SESSION_SECRET_REQUIRED' });
+        delete process.env.NODE_ENV;
+        process.env.VERCEL = '1';
+        assert.throws(loadSessionSecret, { code: 'SESSION_SECRET_REQUIRED' });
+    } finally {
+        process.env = saved;
+    }
+});
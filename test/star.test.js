@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeStarStructure, isBehavioralQuestion } from '../utils/analysis/star.js';
+
+test('behavioral questions are recognised by their opening', () => {
+    const cases = [
+        ['Tell me about a time you missed a deadline.', true],
+        ['Describe a conflict with a teammate.', true],
+        ['Give an example of a risky decision you made.', true],
+        ['Have you ever had to push back on a manager?', true],
+        ['How would you design a URL shortener?', false],
+        ['What is the difference between a process and a thread?', false],
+        [undefined, false]
+    ];
+    for (const [question, behavioral] of cases) {
+        assert.equal(isBehavioralQuestion(question), behavioral, question);
+    }
+});
+
+test('a complete STAR answer finds all four parts with their timestamps', () => {
+    const star = analyzeStarStructure({
+        start: 0,
+        segments: [
+            { start: 0, text: 'At my last job the checkout page was timing out every evening.' },
+            { start: 6, text: 'My role was to get the error rate under one percent before the holiday sale.' },
+            { start: 13, text: 'I profiled the slow queries and added a read replica for the catalog.' },
+            { start: 21, text: 'As a result, timeouts dropped by 90% and we hit the sale target.' }
+        ]
+    }, 'Tell me about a time you fixed a production problem.');
+
+    assert.equal(star.applicable, true);
+    assert.equal(star.completeness, 100);
+    assert.deepEqual(star.missing, []);
+    assert.deepEqual(
+        Object.fromEntries(Object.entries(star.components).map(([name, c]) => [name, c.sentences.map(s => s.timestamp)])),
+        { situation: ['0:00'], task: ['0:06'], action: ['0:13'], result: ['0:21'] }
+    );
+});
+
+test('missing parts come back with advice', () => {
+    const star = analyzeStarStructure({ text: 'We had a flaky test suite. I rewrote the fixtures over a weekend.', segments: [] });
+
+    assert.equal(star.applicable, true);
+    assert.equal(star.completeness, 50);
+    assert.deepEqual(star.missing, ['task', 'result']);
+    assert.equal(star.advice[1], 'Close with the outcome, ideally with a measurable number');
+    assert.equal(star.components.situation.sentences[0].timestamp, null);
+});
+
+test('a cue shared by two parts goes to the one that fits the sentence position', () => {
+    // "I learned" marks a result; "we had" a situation - the same sentence opens or closes an answer
+    const sentence = 'We had a rough quarter and I learned a lot from it.';
+    const opening = analyzeStarStructure({ text: `${sentence} Then nothing else happened here. Nothing at all happened here.`, segments: [] });
+    const closing = analyzeStarStructure({ text: `Nothing much happened here. Nothing else happened here. ${sentence}`, segments: [] });
+
+    assert.equal(opening.components.situation.present, true);
+    assert.equal(opening.components.result.present, false);
+    assert.equal(closing.components.result.present, true);
+    assert.equal(closing.components.situation.present, false);
+});
+
+test('technical questions are marked as not applicable', () => {
+    assert.equal(analyzeStarStructure({ text: 'I would use a hash map.', segments: [] }, 'How would you dedupe a list?').applicable, false);
+});
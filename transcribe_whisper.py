@@ -1,6 +1,6 @@
 
 #!/usr/bin/env python3
-import sys, json, os
+import sys, json, os, math
 # This script uses the whisper package. Ensure you have installed it:
 # pip install -U openai-whisper
 try:
@@ -9,12 +9,9 @@ except Exception as e:
     print("Missing whisper package. Install with: pip install -U openai-whisper", file=sys.stderr)
     sys.exit(2)
 
-def format_timestamp(s):
-    # seconds to HH:MM:SS, with integer seconds
-    h = int(s // 3600)
-    m = int((s % 3600) // 60)
-    sec = int(s % 60)
-    return f"{h:02d}:{m:02d}:{sec:02d}"
+def segment_confidence(seg):
+    # avg_logprob is a log-probability; map it back to a 0-1 score
+    return round(math.exp(seg.get("avg_logprob", 0.0)), 3)
 
 def main():
     if len(sys.argv) < 2:
@@ -30,11 +27,16 @@ def main():
     model = os.environ.get("WHISPER_MODEL", "base")
     try:
         m = whisper.load_model(model)
-        result = m.transcribe(audio, language='en', verbose=False)
+        # word_timestamps gives per-word timing for the filler timeline
+        result = m.transcribe(audio, language='en', verbose=False, word_timestamps=True)
         segments = []
         for seg in result.get("segments", []):
-            segments.append({ "start": format_timestamp(seg["start"]), "end": format_timestamp(seg["end"]), "text": seg["text"].strip() })
-        out_json = { "text": result.get("text",""), "segments": segments }
+            # start/end are seconds (floats) so the Node side can do timing math
+            words = [{ "word": w["word"].strip(), "start": round(w["start"], 2), "end": round(w["end"], 2), "confidence": round(w.get("probability", 0.0), 3) } for w in seg.get("words", [])]
+            segments.append({ "start": round(seg["start"], 2), "end": round(seg["end"], 2), "text": seg["text"].strip(), "confidence": segment_confidence(seg), "words": words })
+        duration = segments[-1]["end"] if segments else 0
+        confidence = round(sum(s["confidence"] for s in segments) / len(segments), 3) if segments else 0
+        out_json = { "text": result.get("text","").strip(), "duration": duration, "confidence": confidence, "segments": segments }
         with open(out, "w", encoding="utf8") as f:
             json.dump(out_json, f, indent=2)
         print("Transcription written to", out)
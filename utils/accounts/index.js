@@ -0,0 +1,68 @@
+/**
+ * Account registration and sign-in. Errors carry `code` and an HTTP
+ * `status` so routes can pass them straight through to the client.
+ * Login sessions and tokens live in sessions.js, the HTTP glue in middleware.js.
+ */
+import crypto from 'crypto';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { findUserByEmail, insertUser, publicUser } from './store.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function accountError(code, message, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+export async function registerUser({ name, email, password }) {
+    const cleanName = String(name || '').trim();
+    const cleanEmail = normalizeEmail(email);
+
+    if (!cleanName || !cleanEmail || !password) {
+        throw accountError('MISSING_FIELDS', 'Name, email and password are required', 400);
+    }
+    if (!EMAIL_PATTERN.test(cleanEmail)) {
+        throw accountError('INVALID_EMAIL', 'Please enter a valid email address', 400);
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        throw accountError('WEAK_PASSWORD', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    const user = await insertUser({
+        id: crypto.randomUUID(),
+        name: cleanName,
+        email: cleanEmail,
+        passwordHash: await hashPassword(String(password)),
+        joinDate: new Date().toISOString()
+    });
+    if (!user) {
+        throw accountError('EMAIL_TAKEN', 'An account with this email already exists', 409);
+    }
+
+    console.log('👤 Registered user:', user.email);
+    return publicUser(user);
+}
+
+let dummyHash = null;
+
+export async function authenticateUser({ email, password }) {
+    const user = await findUserByEmail(normalizeEmail(email));
+
+    // Unknown emails still pay for a hash check, and get the same error, so accounts cannot be enumerated
+    dummyHash = dummyHash || await hashPassword(crypto.randomUUID());
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : dummyHash);
+    if (!user || !valid) {
+        throw accountError('INVALID_CREDENTIALS', 'Invalid email or password', 401);
+    }
+    return publicUser(user);
+}
+
+export { publicUser };
+export { createSession, refreshSession, revokeSession, revokeByRefreshToken, verifyAccessToken } from './sessions.js';
@@ -0,0 +1,100 @@
+/**
+ * HTTP glue for login sessions: HTTP-only cookies carrying the tokens
+ * from sessions.js, and `authenticateRequest` / `requireAuth` for protected
+ * routes. Only plain Node response methods are used, so the same code serves
+ * Express and the Vercel functions. API clients may send the access token as
+ * `Authorization: Bearer <token>` instead.
+ */
+import { verifyAccessToken, revokeSession, revokeByRefreshToken, ACCESS_TOKEN_TTL_MS, REFRESH_TOKEN_TTL_MS } from './sessions.js';
+
+export const ACCESS_COOKIE = 'il_access';
+export const REFRESH_COOKIE = 'il_refresh';
+
+// The refresh token is only ever needed by the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+export function parseCookies(req) {
+    const cookies = {};
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+        } catch {
+            cookies[part.slice(0, index).trim()] = value;
+        }
+    }
+    return cookies;
+}
+
+function serializeCookie(name, value, maxAgeMs, path = '/') {
+    const parts = [
+        `${name}=${encodeURIComponent(value)}`,
+        `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+        `Expires=${new Date(Date.now() + maxAgeMs).toUTCString()}`,
+        `Path=${path}`,
+        'HttpOnly',
+        'SameSite=Lax'
+    ];
+    if (process.env.NODE_ENV === 'production') parts.push('Secure');
+    return parts.join('; ');
+}
+
+function appendCookies(res, cookies) {
+    const existing = res.getHeader('Set-Cookie') || [];
+    res.setHeader('Set-Cookie', [...(Array.isArray(existing) ? existing : [existing]), ...cookies]);
+}
+
+export function setSessionCookies(res, { accessToken, refreshToken }) {
+    appendCookies(res, [
+        serializeCookie(ACCESS_COOKIE, accessToken, ACCESS_TOKEN_TTL_MS),
+        serializeCookie(REFRESH_COOKIE, refreshToken, REFRESH_TOKEN_TTL_MS, REFRESH_COOKIE_PATH)
+    ]);
+}
+
+export function clearSessionCookies(res) {
+    appendCookies(res, [
+        serializeCookie(ACCESS_COOKIE, '', 0),
+        serializeCookie(REFRESH_COOKIE, '', 0, REFRESH_COOKIE_PATH)
+    ]);
+}
+
+function accessTokenFrom(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return parseCookies(req)[ACCESS_COOKIE];
+}
+
+// Sets req.user and req.authSession; throws a 401 error with a code the client can act on
+export async function authenticateRequest(req) {
+    const { user, session, expiresAt } = await verifyAccessToken(accessTokenFrom(req));
+    req.user = user;
+    req.authSession = { id: session.id, expiresAt };
+    return user;
+}
+
+// Express middleware form of authenticateRequest
+export async function requireAuth(req, res, next) {
+    try {
+        await authenticateRequest(req);
+        next();
+    } catch (error) {
+        if (!error.status) return next(error);
+        res.status(error.status).json({ error: error.message, code: error.code });
+    }
+}
+
+// Ends whichever session the request identifies: the refresh cookie works even after the access token expired
+export async function revokeRequestSession(req) {
+    const refreshToken = parseCookies(req)[REFRESH_COOKIE];
+    if (refreshToken) return revokeByRefreshToken(refreshToken);
+
+    try {
+        const { session } = await verifyAccessToken(accessTokenFrom(req));
+        await revokeSession(session.id);
+    } catch (error) {
+        if (!error.status) throw error;
+        // Already signed out
+    }
+}
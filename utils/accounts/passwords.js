@@ -0,0 +1,29 @@
+/**
+ * scrypt password hashing. Hashes are self-describing
+ * ("scrypt$N$r$p$salt$hash") so the cost can be raised later without
+ * breaking existing accounts.
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+const KEY_LENGTH = 64;
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELISM });
+    return ['scrypt', COST, BLOCK_SIZE, PARALLELISM, salt.toString('hex'), key.toString('hex')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const key = await scrypt(password, Buffer.from(salt, 'hex'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(key, expected);
+}
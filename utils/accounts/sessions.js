@@ -0,0 +1,125 @@
+/**
+ * Login sessions. Each sign-in creates a session record (data/auth-sessions.json)
+ * and two tokens:
+ *   - a short-lived access token: HMAC-signed `{ sid, uid, exp }`, checked on every request
+ *   - a long-lived opaque refresh token, stored only as a hash and rotated on every use
+ * Revoking the session record (logout) invalidates both immediately.
+ */
+import crypto from 'crypto';
+import { jsonCollection } from '../storage.js';
+import { findUserById, publicUser } from './store.js';
+
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sessions = jsonCollection('auth-sessions');
+
+let secret = null;
+
+// Tokens must verify on every instance, so production and Vercel need a shared SESSION_SECRET;
+// locally a random one only signs everyone out on restart
+export function loadSessionSecret() {
+    if (secret) return secret;
+
+    secret = process.env.SESSION_SECRET;
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+            const error = new Error('SESSION_SECRET must be set in production - every server instance needs the same secret to accept its sessions');
+            error.code = 'SESSION_SECRET_REQUIRED';
+            throw error;
+        }
+        secret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ SESSION_SECRET is not set - using a random secret, everyone will be signed out when the server restarts');
+    }
+    return secret;
+}
+
+function sessionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 401;
+    return error;
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (payload) => crypto.createHmac('sha256', loadSessionSecret()).update(payload).digest('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const isLive = (session) => session && !session.revokedAt && Date.parse(session.expiresAt) > Date.now();
+
+function issueTokens(session) {
+    const expiresAt = Date.now() + ACCESS_TOKEN_TTL_MS;
+    const payload = base64url(JSON.stringify({ sid: session.id, uid: session.userId, exp: expiresAt }));
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    return {
+        accessToken: `${payload}.${sign(payload)}`,
+        refreshToken,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+export async function createSession(user) {
+    const now = Date.now();
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+        revokedAt: null
+    };
+    const { refreshTokenHash, ...tokens } = issueTokens(session);
+
+    // Ended sessions are only kept until the next sign-in
+    await sessions.remove(s => !isLive(s));
+    await sessions.insert({ ...session, refreshTokenHash });
+    return tokens;
+}
+
+// Resolves { user, session, expiresAt } for a valid access token, or throws a 401 error
+export async function verifyAccessToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    // Compare byte lengths, not string lengths - timingSafeEqual throws on a multibyte mismatch
+    const given = Buffer.from(signature || '');
+    const expected = Buffer.from(payload ? sign(payload) : '');
+    if (given.length === 0 || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw sessionError('INVALID_TOKEN', 'Not signed in');
+    }
+
+    const { sid, uid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (exp <= Date.now()) {
+        throw sessionError('TOKEN_EXPIRED', 'Your session has expired');
+    }
+
+    const session = await sessions.find(s => s.id === sid);
+    const user = isLive(session) ? await findUserById(uid) : null;
+    if (!user) {
+        throw sessionError('SESSION_REVOKED', 'Your session has ended - please sign in again');
+    }
+    return { user: publicUser(user), session, expiresAt: new Date(exp).toISOString() };
+}
+
+// Exchanges a refresh token for a new token pair; the old refresh token stops working
+export async function refreshSession(refreshToken) {
+    const hash = hashToken(String(refreshToken || ''));
+    const session = await sessions.find(s => s.refreshTokenHash === hash);
+    const user = isLive(session) ? await findUserById(session.userId) : null;
+    if (!user) {
+        throw sessionError('INVALID_REFRESH_TOKEN', 'Your session has ended - please sign in again');
+    }
+
+    const { refreshTokenHash, ...tokens } = issueTokens(session);
+    await sessions.update(s => s.id === session.id, { refreshTokenHash });
+    return { user: publicUser(user), ...tokens };
+}
+
+export async function revokeSession(sessionId) {
+    await sessions.update(s => s.id === sessionId, { revokedAt: new Date().toISOString() });
+}
+
+// Finds the session behind a refresh token so logout works even with an expired access token
+export async function revokeByRefreshToken(refreshToken) {
+    const hash = hashToken(String(refreshToken || ''));
+    const session = await sessions.find(s => s.refreshTokenHash === hash);
+    if (session) await revokeSession(session.id);
+}
@@ -0,0 +1,25 @@
+/**
+ * User records, persisted in data/users.json.
+ */
+import { jsonCollection } from '../storage.js';
+
+const users = jsonCollection('users');
+
+// Never send the password hash to the client
+export function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+export function findUserByEmail(email) {
+    return users.find(u => u.email === email);
+}
+
+export function findUserById(id) {
+    return users.find(u => u.id === id);
+}
+
+// Resolves null when the email is already taken
+export function insertUser(user) {
+    return users.insert(user, { unlessExists: u => u.email === user.email });
+}
@@ -0,0 +1,232 @@
+/**
+ * Audio-signal delivery analysis: EBU R128 loudness (via ffmpeg), clipping,
+ * background noise floor and pitch variation over time (autocorrelation on
+ * decoded PCM). Needs a local ffmpeg; callers treat failures as "unavailable".
+ */
+import { decodePcm, measureLoudness } from '../media.js';
+import { formatTimestamp } from './time.js';
+
+const SAMPLE_RATE = 8000;
+const FRAME_SIZE = 400; // 50ms frames
+const PITCH_MIN_HZ = 75;
+const PITCH_MAX_HZ = 400;
+const PITCH_WINDOW_SECONDS = 10;
+const CLIP_LEVEL = 32700;
+const VOICE_MIN_DB = -50;
+// Autocorrelation is the expensive part; a sample of each window's voiced frames is enough for its spread
+const MAX_PITCH_FRAMES_PER_WINDOW = 60;
+
+const QUIET_LUFS = -45;
+const QUIET_OVERALL_LUFS = -35;
+const NOISY_FLOOR_DB = -45;
+const MONOTONE_SEMITONES = 1.5;
+const MONOTONE_MIN_SECONDS = 20;
+
+function dbfs(rms) {
+    return rms > 0 ? 20 * Math.log10(rms / 32768) : -120;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Fundamental frequency of one frame, or null when unvoiced
+function framePitch(samples, offset) {
+    const minLag = Math.floor(SAMPLE_RATE / PITCH_MAX_HZ);
+    const maxLag = Math.ceil(SAMPLE_RATE / PITCH_MIN_HZ);
+
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        energy += samples[offset + i] * samples[offset + i];
+    }
+    if (energy === 0) return null;
+
+    let bestLag = 0;
+    let bestCorrelation = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let correlation = 0;
+        for (let i = 0; i < FRAME_SIZE - lag; i++) {
+            correlation += samples[offset + i] * samples[offset + i + lag];
+        }
+        correlation /= energy;
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+
+    // Weak periodicity means noise or an unvoiced consonant
+    return bestCorrelation > 0.5 && bestLag > 0 ? SAMPLE_RATE / bestLag : null;
+}
+
+export async function analyzePcm(samples) {
+    const frames = [];
+    const clipTimes = [];
+
+    for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += FRAME_SIZE) {
+        let sumSquares = 0;
+        for (let i = offset; i < offset + FRAME_SIZE; i++) {
+            const s = samples[i];
+            sumSquares += s * s;
+            if (s >= CLIP_LEVEL || s <= -CLIP_LEVEL) clipTimes.push(i / SAMPLE_RATE);
+        }
+        frames.push({ time: offset / SAMPLE_RATE, level: dbfs(Math.sqrt(sumSquares / FRAME_SIZE)) });
+    }
+
+    const noiseFloorDb = percentile(frames.map(f => f.level), 0.1);
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const magnitude = Math.abs(samples[i]);
+        if (magnitude > peak) peak = magnitude;
+    }
+
+    // Pitch variation per window, in semitones around the window's median pitch.
+    // Near-silent frames cannot carry a voice; autocorrelation rejects the noisy ones.
+    // Each window yields to the event loop so a long recording does not stall other requests.
+    const pitchOverTime = [];
+    const duration = samples.length / SAMPLE_RATE;
+    const framesPerWindow = PITCH_WINDOW_SECONDS * SAMPLE_RATE / FRAME_SIZE;
+    for (let first = 0; first < frames.length; first += framesPerWindow) {
+        await new Promise(resolve => setImmediate(resolve));
+
+        const voiced = frames.slice(first, first + framesPerWindow).filter(f => f.level > VOICE_MIN_DB);
+        const stride = Math.ceil(voiced.length / MAX_PITCH_FRAMES_PER_WINDOW);
+        const pitches = [];
+        for (let i = 0; i < voiced.length; i += stride) {
+            const pitch = framePitch(samples, Math.round(voiced[i].time * SAMPLE_RATE));
+            if (pitch) pitches.push(pitch);
+        }
+        if (pitches.length * stride < 20) continue; // under a second of voiced speech
+
+        const start = first * FRAME_SIZE / SAMPLE_RATE;
+        const median = percentile(pitches, 0.5);
+        const semitones = pitches.map(p => 12 * Math.log2(p / median));
+        const mean = semitones.reduce((a, b) => a + b, 0) / semitones.length;
+        const variance = semitones.reduce((sum, s) => sum + (s - mean) ** 2, 0) / semitones.length;
+
+        pitchOverTime.push({
+            start,
+            timestamp: formatTimestamp(start),
+            medianHz: Math.round(median),
+            variationSemitones: Math.round(Math.sqrt(variance) * 10) / 10
+        });
+    }
+
+    // Merge clipped samples into events at least half a second apart
+    const clipEvents = [];
+    for (const time of clipTimes) {
+        const last = clipEvents[clipEvents.length - 1];
+        if (last && time - last.end < 0.5) {
+            last.end = time;
+            last.samples++;
+        } else {
+            clipEvents.push({ start: time, end: time, samples: 1 });
+        }
+    }
+
+    return {
+        duration,
+        peakDb: Math.round(dbfs(peak) * 10) / 10,
+        noiseFloorDb: noiseFloorDb === null ? null : Math.round(noiseFloorDb * 10) / 10,
+        clipping: {
+            clippedSamples: clipTimes.length,
+            events: clipEvents.map(e => ({ start: e.start, timestamp: formatTimestamp(e.start), samples: e.samples }))
+        },
+        pitchOverTime
+    };
+}
+
+export async function analyzeAudioSignal(mediaPath) {
+    const loudness = await measureLoudness(mediaPath);
+    const pcm = await analyzePcm(await decodePcm(mediaPath, SAMPLE_RATE));
+
+    // Average the 400ms momentary readings into one value per second for the timeline
+    const perSecond = new Map();
+    for (const frame of loudness.frames) {
+        if (frame.time < 0.4) continue; // momentary window not filled yet
+        const second = Math.floor(frame.time - 0.4);
+        if (!perSecond.has(second)) perSecond.set(second, []);
+        perSecond.get(second).push(10 ** (frame.momentary / 10));
+    }
+    const loudnessOverTime = [...perSecond].map(([second, powers]) => ({
+        start: second,
+        timestamp: formatTimestamp(second),
+        lufs: Math.round(10 * Math.log10(powers.reduce((a, b) => a + b, 0) / powers.length) * 10) / 10
+    }));
+
+    return {
+        available: true,
+        integratedLoudness: loudness.integrated,
+        loudnessRange: loudness.range,
+        loudnessOverTime,
+        ...pcm
+    };
+}
+
+// Groups consecutive timeline entries that match a predicate into [start, end] sections
+function sections(entries, predicate, step) {
+    const result = [];
+    for (const entry of entries) {
+        const last = result[result.length - 1];
+        if (!predicate(entry)) continue;
+        if (last && entry.start <= last.end) {
+            last.end = entry.start + step;
+        } else {
+            result.push({ start: entry.start, end: entry.start + step });
+        }
+    }
+    return result;
+}
+
+// Timestamped delivery feedback; transcript segments tell us when speech was expected
+export function audioSignalMistakes(audio, transcription) {
+    if (!audio || !audio.available) return [];
+    const mistakes = [];
+    const segments = transcription?.segments || [];
+    const speaking = (time) => segments.length === 0 || segments.some(s => time >= s.start && time < s.end);
+
+    if (audio.integratedLoudness !== null && audio.integratedLoudness < QUIET_OVERALL_LUFS) {
+        mistakes.push({
+            timestamp: '0:00',
+            text: `Recording is very quiet overall (${audio.integratedLoudness} LUFS) - move closer to the microphone or raise input gain`
+        });
+    } else {
+        const quiet = sections(audio.loudnessOverTime, e => e.lufs < QUIET_LUFS && speaking(e.start), 1)
+            .filter(s => s.end - s.start >= 2);
+        for (const section of quiet.slice(0, 2)) {
+            mistakes.push({
+                timestamp: formatTimestamp(section.start),
+                text: `Voice dropped below audible level at ${formatTimestamp(section.start)} for ${section.end - section.start}s - keep your volume up through the end of each point`
+            });
+        }
+    }
+
+    const monotone = sections(audio.pitchOverTime, e => e.variationSemitones < MONOTONE_SEMITONES, PITCH_WINDOW_SECONDS)
+        .filter(s => s.end - s.start >= MONOTONE_MIN_SECONDS);
+    for (const section of monotone.slice(0, 2)) {
+        const end = Math.min(section.end, audio.duration);
+        mistakes.push({
+            timestamp: formatTimestamp(section.start),
+            text: `Monotone section ${formatTimestamp(section.start)}–${formatTimestamp(end)} - vary your pitch to emphasize key points`
+        });
+    }
+
+    if (audio.clipping.events.length > 0) {
+        const first = audio.clipping.events[0];
+        mistakes.push({
+            timestamp: first.timestamp,
+            text: `Audio clipping (distortion) detected ${audio.clipping.events.length} time(s), first at ${first.timestamp} - lower your input gain or move back from the microphone`
+        });
+    }
+
+    if (audio.noiseFloorDb !== null && audio.noiseFloorDb > NOISY_FLOOR_DB) {
+        mistakes.push({
+            timestamp: '0:00',
+            text: `Background noise is high (noise floor ${audio.noiseFloorDb} dBFS) - record in a quieter room`
+        });
+    }
+
+    return mistakes;
+}
@@ -0,0 +1,64 @@
+/**
+ * Report for recordings that could not be transcribed. Without a transcript
+ * there is nothing to score, so the rating is null and the feedback only
+ * covers what ffprobe can see in the file and how to get a transcript.
+ */
+import { formatTimestamp } from './time.js';
+
+const MIN_DURATION_SECONDS = 15;
+const MIN_VIDEO_HEIGHT = 360;
+const MIN_FPS = 15;
+
+function describeMedia(media) {
+    const parts = [media.duration === null ? 'unknown length' : `${formatTimestamp(media.duration)} long`];
+    if (media.video) {
+        parts.push(`${media.video.width}x${media.video.height}${media.video.fps ? ` @ ${media.video.fps}fps` : ''} ${media.video.codec}`);
+    }
+    parts.push(media.audio ? `${media.audio.codec} audio` : 'no audio track');
+    return parts.join(', ');
+}
+
+// media: probeMedia() result, or null when the file could not be probed
+export function analyzeWithoutTranscript(field, media, transcriptionError) {
+    const mistakes = [];
+    const tips = [];
+
+    if (transcriptionError?.hint) tips.push(transcriptionError.hint);
+
+    if (media) {
+        if (!media.audio) {
+            mistakes.push({ timestamp: '0:00', text: 'The recording has no audio track, so there is no speech to analyze' });
+            tips.push('Check that your microphone is enabled and allowed in the browser before recording');
+        }
+        if (media.duration !== null && media.duration < MIN_DURATION_SECONDS) {
+            mistakes.push({
+                timestamp: '0:00',
+                text: `Recording is only ${media.duration}s long - at least ${MIN_DURATION_SECONDS} seconds of speech is needed for analysis`
+            });
+        }
+        if (!media.video) {
+            mistakes.push({ timestamp: '0:00', text: 'The recording has no video track - keep your camera on so body language can be reviewed' });
+        } else {
+            if (media.video.height && media.video.height < MIN_VIDEO_HEIGHT) {
+                mistakes.push({ timestamp: '0:00', text: `Video resolution is low (${media.video.width}x${media.video.height}) - record at 360p or higher` });
+            }
+            if (media.video.fps && media.video.fps < MIN_FPS) {
+                mistakes.push({ timestamp: '0:00', text: `Video frame rate is low (${media.video.fps}fps) - close other apps or improve lighting so the camera can keep up` });
+            }
+        }
+    } else {
+        tips.push('The file could not be read - try recording again or upload an MP4/WebM video');
+    }
+
+    tips.push('Analyze the recording again once transcription is available to get a score and timestamped feedback');
+
+    const reason = transcriptionError?.message ? ` (${transcriptionError.message})` : '';
+    return {
+        rating: null,
+        transcriptAvailable: false,
+        media,
+        mistakes,
+        tips,
+        summary: `No transcript available${reason} - this ${field || 'interview'} recording was not scored.${media ? ` Recording: ${describeMedia(media)}.` : ''}`
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * Context-aware filler detection over the timed word list. Pure hesitation
+ * sounds always count; words with real meanings ("like", "so", "well",
+ * "yeah", "right", "kind of") only count when the surrounding words and punctuation
+ * show they are being used as filler.
+ */
+import { wordTimeline } from './words.js';
+import { formatTimestamp } from './time.js';
+
+const ALWAYS_FILLER = new Set(['um', 'umm', 'uh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'mm', 'basically', 'literally']);
+const LIKE_LEADS = new Set(['and', 'but', 'so', 'or', 'um', 'uh']);
+const KNOW_NEGATORS = new Set(['do', 'did', 'if', 'as', "don't", 'dont', "didn't", 'didnt', 'not']);
+const KNOW_COMPLEMENTS = new Set(['that', 'how', 'what', 'why', 'where', 'when', 'whether', 'which', 'who', 'about', 'the', 'this', 'it', 'him', 'her', 'them']);
+const KIND_OF_DETERMINERS = new Set(['what', 'this', 'that', 'the', 'a', 'any', 'some', 'which', 'every', 'same', 'different', 'one', 'these', 'those', 'all']);
+
+const endsSentence = raw => /[.!?]["']?$/.test(raw || '');
+const endsWithComma = raw => /,["']?$/.test(raw || '');
+
+// Returns the filler phrase starting at index i (and how many words it spans), or null
+function fillerAt(words, i) {
+    const w = words[i];
+    const prev = words[i - 1];
+    const next = words[i + 1];
+    const sentenceStart = !prev || endsSentence(prev.raw);
+    const commaBefore = prev && endsWithComma(prev.raw);
+    const commaAfter = endsWithComma(w.raw);
+    const setApart = sentenceStart || commaBefore || commaAfter;
+
+    if (ALWAYS_FILLER.has(w.word)) return { phrase: w.word, length: 1 };
+
+    if (w.word === 'you' && next?.word === 'know') {
+        const after = words[i + 2];
+        if (endsWithComma(next.raw) || endsSentence(next.raw) || !after) return { phrase: 'you know', length: 2 };
+        if (prev && KNOW_NEGATORS.has(prev.word)) return null;
+        if (KNOW_COMPLEMENTS.has(after.word)) return null;
+        return { phrase: 'you know', length: 2 };
+    }
+
+    if (w.word === 'i' && next?.word === 'mean') {
+        return sentenceStart || endsWithComma(next.raw) ? { phrase: 'i mean', length: 2 } : null;
+    }
+
+    if ((w.word === 'kind' || w.word === 'sort') && next?.word === 'of') {
+        return prev && KIND_OF_DETERMINERS.has(prev.word) ? null : { phrase: `${w.word} of`, length: 2 };
+    }
+
+    switch (w.word) {
+        case 'like':
+            // "tools like React", "I'd like to" and "Like most teams" are real uses; "and like, we had" is not
+            return commaBefore || commaAfter || (prev && LIKE_LEADS.has(prev.word)) ? { phrase: 'like', length: 1 } : null;
+        case 'yeah':
+            // "Yeah, I led that migration" answers the question; "so yeah" and a trailing ", yeah." trail off
+            return (prev && LIKE_LEADS.has(prev.word)) || (commaBefore && endsSentence(w.raw)) ? { phrase: 'yeah', length: 1 } : null;
+        case 'so':
+            return (sentenceStart && commaAfter) || next?.word === 'yeah' ? { phrase: 'so', length: 1 } : null;
+        case 'well':
+            return sentenceStart && commaAfter ? { phrase: 'well', length: 1 } : null;
+        case 'right':
+            return (/\?$/.test(w.raw) && (commaBefore || sentenceStart)) || (sentenceStart && commaAfter) ? { phrase: 'right', length: 1 } : null;
+        case 'okay':
+        case 'ok':
+            return sentenceStart && (commaAfter || endsSentence(w.raw)) ? { phrase: 'okay', length: 1 } : null;
+        case 'actually':
+        case 'honestly':
+            return setApart ? { phrase: w.word, length: 1 } : null;
+        default:
+            return null;
+    }
+}
+
+export function detectFillers(transcription) {
+    const words = wordTimeline(transcription);
+    const occurrences = [];
+
+    for (let i = 0; i < words.length; i++) {
+        const match = fillerAt(words, i);
+        if (!match) continue;
+
+        const start = words[i].start;
+        occurrences.push({
+            word: match.phrase,
+            start,
+            timestamp: start === null ? null : formatTimestamp(start),
+            estimated: words[i].estimated
+        });
+        i += match.length - 1;
+    }
+
+    const byWord = {};
+    for (const o of occurrences) {
+        byWord[o.word] = (byWord[o.word] || 0) + 1;
+    }
+
+    const timed = words.length > 0 && words[0].start !== null;
+    const duration = transcription.duration || (timed ? words[words.length - 1].end : 0);
+    const minutes = duration / 60;
+
+    // Per-minute buckets for charting
+    const density = [];
+    if (timed && duration > 0) {
+        const bucketCount = Math.max(1, Math.ceil(minutes));
+        for (let m = 0; m < bucketCount; m++) {
+            density.push({ minute: m, start: formatTimestamp(m * 60), fillers: 0, words: 0 });
+        }
+        for (const w of words) {
+            density[Math.min(bucketCount - 1, Math.floor(w.start / 60))].words++;
+        }
+        for (const o of occurrences) {
+            density[Math.min(bucketCount - 1, Math.floor(o.start / 60))].fillers++;
+        }
+    }
+
+    return {
+        total: occurrences.length,
+        wordCount: words.length,
+        ratePer100Words: words.length ? Math.round((occurrences.length / words.length) * 1000) / 10 : 0,
+        perMinute: minutes > 0 ? Math.round((occurrences.length / minutes) * 10) / 10 : null,
+        byWord,
+        occurrences,
+        density
+    };
+}
+
+// Timestamp of the first filler in the minute with the most fillers
+export function peakFillerTimestamp(fillers) {
+    if (fillers.total === 0) return null;
+    if (fillers.density.length === 0) return fillers.occurrences[0].timestamp;
+
+    const peak = fillers.density.reduce((best, bucket) => (bucket.fillers > best.fillers ? bucket : best));
+    const first = fillers.occurrences.find(o => Math.floor(o.start / 60) >= peak.minute);
+    return first ? first.timestamp : peak.start;
+}
@@ -0,0 +1,203 @@
+/**
+ * Entry point for transcript analysis: scores the whole recording and, when
+ * several questions were answered, each answer on its own.
+ */
+import { analyzeRealSpeech, applyRubric } from './speech.js';
+import { segmentAnswers, parseMarkers } from './segmentation.js';
+import { scoreAnswerRelevance } from './relevance.js';
+import { analyzeStarStructure } from './star.js';
+import { detectFillers } from './fillers.js';
+import { computePacing, pacingMistakes } from './pacing.js';
+import { audioSignalMistakes } from './audio.js';
+import { reviewTranscript } from './review.js';
+import { formatTimestamp } from './time.js';
+
+const MAX_QUESTIONS = 20;
+
+// Heuristic results the LLM review gets as context
+function reviewMetrics(analysis) {
+    const metrics = [
+        `Rating: ${analysis.rating}/10 (${(analysis.rubric?.criteria || []).filter(c => c.score !== null).map(c => `${c.label} ${c.score}`).join(', ')})`,
+        `Words: ${analysis.vocabulary?.wordCount ?? 0}`,
+        `Filler words: ${analysis.fillers.total} (${analysis.fillers.ratePer100Words} per 100 words)`
+    ];
+    if (analysis.videoMetrics) metrics.push(`Speaking pace: ${analysis.videoMetrics.speechRate} WPM`);
+    if (analysis.star?.averageCompleteness !== null && analysis.star?.averageCompleteness !== undefined) {
+        metrics.push(`STAR completeness: ${analysis.star.averageCompleteness}%`);
+    }
+    if (analysis.relevance?.average !== null && analysis.relevance?.average !== undefined) {
+        metrics.push(`Answer relevance: ${analysis.relevance.average}/100`);
+    }
+    return metrics;
+}
+
+function parseQuestions(raw) {
+    let questions = raw;
+    if (typeof raw === 'string') {
+        try {
+            questions = JSON.parse(raw);
+        } catch {
+            return [];
+        }
+    }
+    if (!Array.isArray(questions)) return [];
+
+    return questions
+        .filter(q => typeof q === 'string' && q.trim().length > 0)
+        .map(q => q.trim())
+        .slice(0, MAX_QUESTIONS);
+}
+
+// Normalizes the multipart form fields sent alongside the video
+export function parseAnalysisOptions({ questions, questionCount, markers } = {}) {
+    const parsedQuestions = parseQuestions(questions);
+    return {
+        questions: parsedQuestions,
+        questionCount: parsedQuestions.length || Math.max(1, Math.min(MAX_QUESTIONS, Number(questionCount) || 1)),
+        markers: parseMarkers(markers)
+    };
+}
+
+// audioSignal: result of analyzeAudioSignal() on the same recording, when ffmpeg could run
+export async function analyzeInterview(transcription, field, { questions = [], questionCount = 1, markers = [], audioSignal = null } = {}) {
+    const analysis = await analyzeRealSpeech(transcription, field);
+    analysis.fillers = detectFillers(transcription);
+
+    const { method, expected, answers } = segmentAnswers(transcription, {
+        questionCount: questions.length || questionCount,
+        markers
+    });
+
+    // Per-answer transcripts, to rescore each answer's rubric at the end
+    const answerTranscriptions = new Map();
+
+    if (expected > 1) {
+        console.log(`🧩 Segmented recording into ${answers.length}/${expected} answers (method: ${method})`);
+
+        analysis.segmentation = { method, expected, detected: answers.length };
+        analysis.answers = [];
+
+        for (const answer of answers) {
+            const answerTranscription = {
+                text: answer.text,
+                duration: answer.end - answer.start,
+                segments: answer.segments
+            };
+            const answerAnalysis = await analyzeRealSpeech(answerTranscription, field);
+            answerTranscriptions.set(answer.index, answerTranscription);
+
+            analysis.answers.push({
+                questionIndex: answer.index,
+                question: questions[answer.index],
+                start: formatTimestamp(answer.start),
+                end: formatTimestamp(answer.end),
+                transcript: answer.text,
+                ...answerAnalysis
+            });
+        }
+    }
+
+    const star = answers
+        .filter(answer => answer.text)
+        .map(answer => ({
+            questionIndex: answer.index,
+            question: questions[answer.index],
+            ...analyzeStarStructure(answer, questions[answer.index])
+        }));
+    const behavioral = star.filter(s => s.applicable);
+
+    analysis.star = {
+        averageCompleteness: behavioral.length
+            ? Math.round(behavioral.reduce((sum, s) => sum + s.completeness, 0) / behavioral.length)
+            : null,
+        perQuestion: star
+    };
+
+    for (const result of star) {
+        const answer = analysis.answers?.find(a => a.questionIndex === result.questionIndex);
+        if (answer) answer.star = result;
+    }
+
+    const videoMetrics = computePacing(transcription, { boundaries: answers.slice(1).map(a => a.start) });
+    if (videoMetrics) {
+        analysis.videoMetrics = videoMetrics;
+        analysis.mistakes.push(...pacingMistakes(videoMetrics));
+    }
+
+    if (audioSignal) {
+        analysis.audio = audioSignal;
+        analysis.mistakes.push(...audioSignalMistakes(audioSignal, transcription));
+    }
+
+    if (questions.length > 0) {
+        const relevance = await scoreAnswerRelevance(questions, answers);
+        const scored = relevance.filter(r => typeof r.score === 'number');
+        const flagged = relevance.filter(r => r.verdict === 'off-topic' || r.verdict === 'evasive');
+
+        analysis.relevance = {
+            average: scored.length ? Math.round(scored.reduce((sum, r) => sum + r.score, 0) / scored.length) : null,
+            perQuestion: relevance
+        };
+
+        for (const result of relevance) {
+            const answer = analysis.answers?.find(a => a.questionIndex === result.questionIndex);
+            if (answer) answer.relevance = result;
+        }
+
+        const relevanceMistakes = [];
+        for (const result of flagged) {
+            const mistake = {
+                timestamp: result.timestamp,
+                text: result.verdict === 'evasive'
+                    ? `Question ${result.questionIndex + 1} was sidestepped - ${result.reason}. Attempt an answer even if you lack direct experience`
+                    : `Answer to question ${result.questionIndex + 1} drifted off-topic - ${result.reason}`
+            };
+            relevanceMistakes.push(mistake);
+
+            const answer = analysis.answers?.find(a => a.questionIndex === result.questionIndex);
+            if (answer) answer.mistakes.unshift(mistake);
+        }
+        analysis.mistakes = [...relevanceMistakes, ...analysis.mistakes];
+    }
+
+    // Final scores, now that every criterion has its inputs
+    applyRubric(analysis, {
+        transcription,
+        fillers: analysis.fillers,
+        star,
+        relevance: analysis.relevance?.perQuestion,
+        videoMetrics: analysis.videoMetrics,
+        audio: analysis.audio,
+        answerCount: Math.max(1, answers.filter(a => a.text).length)
+    });
+    for (const answer of analysis.answers || []) {
+        const answerTranscription = answerTranscriptions.get(answer.questionIndex);
+        applyRubric(answer, {
+            transcription: answerTranscription,
+            fillers: detectFillers(answerTranscription),
+            star: answer.star ? [answer.star] : [],
+            relevance: answer.relevance ? [answer.relevance] : []
+        });
+    }
+
+    // Grounded LLM feedback goes alongside the heuristic findings; scores stay heuristic
+    const review = await reviewTranscript(transcription, field, { questions, answers, metrics: reviewMetrics(analysis) });
+    if (review) {
+        const { mistakes, tips, ...rest } = review;
+        analysis.review = rest;
+
+        for (const item of mistakes) {
+            const mistake = { timestamp: item.timestamp, text: `${item.text} ("${item.quote}")`, source: review.source };
+            analysis.mistakes.push(mistake);
+
+            const segment = answers.find(a => item.seconds >= Math.floor(a.start) && item.seconds < a.end);
+            const answer = segment && analysis.answers?.find(a => a.questionIndex === segment.index);
+            if (answer) answer.mistakes.push(mistake);
+        }
+        analysis.tips.push(...tips.filter(tip => !analysis.tips.includes(tip)));
+    }
+
+    return analysis;
+}
+
+export { analyzeRealSpeech, segmentAnswers };
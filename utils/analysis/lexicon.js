@@ -0,0 +1,185 @@
+/**
+ * Field-aware technical vocabulary. One JSON file per role in lexicons/
+ * lists the concepts an interviewer expects to hear, each with a weight
+ * (1-3) and the terms that count as mentioning it - synonyms and
+ * multi-word phrases included. The interview field picks the lexicon the
+ * same way the question bank picks a role; lexicons/general.json covers
+ * everything else. server.js validates the files at startup.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEXICON_DIR = process.env.LEXICON_DIR || path.join(__dirname, '..', '..', 'lexicons');
+const GENERAL_ROLE = 'general';
+const MAX_WEIGHT = 3;
+// Repeating a concept keeps counting, but with diminishing returns
+const MAX_COUNTED_MENTIONS = 3;
+const MISSING_SHOWN = 4;
+
+let lexicons = null;
+
+function lexiconError(message, problems) {
+    const error = new Error(message);
+    error.code = 'INVALID_LEXICON';
+    if (problems) error.problems = problems;
+    return error;
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Lowercase words separated by single spaces, padded so every term can be matched as " term "
+export function normalizeForMatching(text) {
+    return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim()} `;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Plurals of the last word count too ("tests", "classes", "queries")
+function termPattern(term) {
+    const normalized = escapeRegex(normalizeForMatching(term).trim());
+    const body = normalized.endsWith('y') ? `${normalized.slice(0, -1)}(?:y|ies)` : `${normalized}(?:s|es)?`;
+    return new RegExp(`(?<= )${body}(?= )`, 'g');
+}
+
+function validateLexicon(data, file, problems) {
+    if (!data || typeof data !== 'object') {
+        problems.push(`${file}: must contain a JSON object`);
+        return;
+    }
+    if (!isNonEmptyString(data.role)) problems.push(`${file}: missing role`);
+    if (!Number.isInteger(data.version) || data.version < 1) problems.push(`${file}: version must be a positive integer`);
+    if (!Array.isArray(data.keywords) || !data.keywords.every(isNonEmptyString)) {
+        problems.push(`${file}: keywords must be a list of strings`);
+    }
+    if (!Array.isArray(data.concepts) || data.concepts.length === 0) {
+        problems.push(`${file}: concepts must be a non-empty list`);
+        return;
+    }
+
+    const ids = new Set();
+    data.concepts.forEach((concept, i) => {
+        const where = `${file} concept ${i + 1}${concept && concept.id ? ` (${concept.id})` : ''}`;
+        if (!concept || typeof concept !== 'object') {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(concept.id)) problems.push(`${where}: missing id`);
+        if (ids.has(concept.id)) problems.push(`${where}: duplicate id`);
+        ids.add(concept.id);
+        if (!isNonEmptyString(concept.label)) problems.push(`${where}: missing label`);
+        if (!Number.isInteger(concept.weight) || concept.weight < 1 || concept.weight > MAX_WEIGHT) {
+            problems.push(`${where}: weight must be an integer from 1 to ${MAX_WEIGHT}`);
+        }
+        if (!Array.isArray(concept.terms) || concept.terms.length === 0
+            || !concept.terms.every(term => isNonEmptyString(term) && normalizeForMatching(term).trim())) {
+            problems.push(`${where}: terms must be a non-empty list of words or phrases`);
+        }
+    });
+}
+
+// Reads and validates every lexicon once; throws INVALID_LEXICON listing every problem found
+export function loadLexicons() {
+    if (lexicons) return lexicons;
+
+    let files;
+    try {
+        files = fs.readdirSync(LEXICON_DIR).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        throw lexiconError(`Could not read lexicon directory ${LEXICON_DIR}: ${error.message}`);
+    }
+
+    const problems = [];
+    const loaded = [];
+    for (const file of files) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(LEXICON_DIR, file), 'utf8'));
+        } catch (error) {
+            problems.push(`${file}: ${error.message}`);
+            continue;
+        }
+        const before = problems.length;
+        validateLexicon(data, file, problems);
+        if (problems.length > before) continue;
+
+        loaded.push({
+            role: data.role,
+            title: data.title || data.role,
+            version: data.version,
+            priority: Number(data.priority) || 0,
+            keywords: data.keywords.map(keyword => normalizeForMatching(keyword).trim()),
+            concepts: data.concepts.map(concept => ({
+                id: concept.id,
+                label: concept.label,
+                weight: concept.weight,
+                // Longest first, so "unit test" claims its words before "test" can
+                terms: [...concept.terms].sort((a, b) => b.length - a.length)
+            }))
+        });
+    }
+    if (problems.length === 0 && !loaded.some(l => l.role === GENERAL_ROLE)) {
+        problems.push(`${GENERAL_ROLE}.json: a "${GENERAL_ROLE}" lexicon is required for fields no other role matches`);
+    }
+
+    if (problems.length > 0) {
+        throw lexiconError(`Lexicons in ${LEXICON_DIR} are invalid:\n  - ${problems.join('\n  - ')}`, problems);
+    }
+
+    // Most specific roles first (e.g. "java developer" uses the Java lexicon, not the software one)
+    loaded.sort((a, b) => b.priority - a.priority);
+    lexicons = loaded;
+    console.log(`📖 Loaded ${loaded.length} vocabulary lexicons`);
+    return lexicons;
+}
+
+// Whole-word keyword match, so "rn" does not match "intern"
+export function lexiconForField(field) {
+    const all = loadLexicons();
+    const normalized = normalizeForMatching(field);
+    return all.find(l => l.role !== GENERAL_ROLE && l.keywords.some(keyword => normalized.includes(` ${keyword} `)))
+        || all.find(l => l.role === GENERAL_ROLE);
+}
+
+/**
+ * Counts the lexicon's concepts in the text. Each word is credited to at
+ * most one term, longest terms first across the whole lexicon.
+ * score: weighted mentions, each concept counted up to MAX_COUNTED_MENTIONS times.
+ * coverage: share of the lexicon's total weight that was mentioned at all, 0-100.
+ */
+export function scoreVocabulary(text, field) {
+    const lexicon = lexiconForField(field);
+    let remaining = normalizeForMatching(text);
+
+    const terms = lexicon.concepts
+        .flatMap(concept => concept.terms.map(term => ({ term, concept })))
+        .sort((a, b) => b.term.length - a.term.length);
+    const found = new Map();
+    for (const { term, concept } of terms) {
+        const matches = remaining.match(termPattern(term));
+        if (!matches) continue;
+        remaining = remaining.replace(termPattern(term), '\u0000');
+
+        const entry = found.get(concept.id) || { id: concept.id, label: concept.label, weight: concept.weight, count: 0, terms: [] };
+        entry.count += matches.length;
+        entry.terms.push(term);
+        found.set(concept.id, entry);
+    }
+
+    const mentioned = lexicon.concepts.filter(c => found.has(c.id)).map(c => found.get(c.id));
+    const missing = lexicon.concepts
+        .filter(c => !found.has(c.id))
+        .sort((a, b) => b.weight - a.weight)
+        .map(({ id, label, weight, terms: conceptTerms }) => ({ id, label, weight, examples: conceptTerms.slice(-3).reverse() }));
+    const totalWeight = lexicon.concepts.reduce((sum, c) => sum + c.weight, 0);
+
+    return {
+        lexicon: { role: lexicon.role, title: lexicon.title, version: lexicon.version },
+        terms: mentioned.reduce((sum, c) => sum + c.count, 0),
+        score: mentioned.reduce((sum, c) => sum + c.weight * Math.min(c.count, MAX_COUNTED_MENTIONS), 0),
+        coverage: Math.round((mentioned.reduce((sum, c) => sum + c.weight, 0) / totalWeight) * 100),
+        mentioned,
+        missing: missing.slice(0, MISSING_SHOWN)
+    };
+}
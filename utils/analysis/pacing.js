@@ -0,0 +1,110 @@
+/**
+ * Delivery metrics from transcript timing: speaking rate over time, long
+ * pauses, dead air at the start/end of the recording and talk-time ratio.
+ * Returned as analysis.videoMetrics for the results card.
+ */
+import { wordTimeline } from './words.js';
+import { formatTimestamp } from './time.js';
+
+const WINDOW_SECONDS = 30;
+const LONG_PAUSE_SECONDS = 3;
+const DEAD_AIR_SECONDS = 5;
+export const IDEAL_WPM = { min: 120, max: 160 };
+
+// boundaries: answer start times; silences leading into a new answer are expected, not long pauses
+export function computePacing(transcription, { boundaries = [] } = {}) {
+    const words = wordTimeline(transcription).filter(w => w.start !== null);
+    const segments = transcription.segments || [];
+    if (words.length < 2) return null;
+
+    const firstWord = words[0];
+    const lastWord = words[words.length - 1];
+    const duration = Math.max(transcription.duration || 0, lastWord.end);
+    const speakingSpan = lastWord.end - firstWord.start;
+
+    // Words-per-minute in fixed windows across the recording
+    const wpmOverTime = [];
+    for (let start = 0; start < duration; start += WINDOW_SECONDS) {
+        const end = Math.min(duration, start + WINDOW_SECONDS);
+        const count = words.filter(w => w.start >= start && w.start < end).length;
+        wpmOverTime.push({
+            start: formatTimestamp(start),
+            seconds: start,
+            wpm: end > start ? Math.round(count / ((end - start) / 60)) : 0
+        });
+    }
+
+    const pauses = [];
+    for (let i = 1; i < words.length; i++) {
+        const gap = words[i].start - words[i - 1].end;
+        const betweenAnswers = boundaries.some(b => b > words[i - 1].start && b <= words[i].start + 0.5);
+        if (gap >= LONG_PAUSE_SECONDS && !betweenAnswers) {
+            pauses.push({
+                start: words[i - 1].end,
+                timestamp: formatTimestamp(words[i - 1].end),
+                duration: Math.round(gap * 10) / 10
+            });
+        }
+    }
+
+    // Segments mark where speech happened; everything else is silence
+    const talkTime = segments.length
+        ? segments.reduce((sum, s) => sum + Math.max(0, s.end - s.start), 0)
+        : speakingSpan;
+
+    const confidences = segments.map(s => s.confidence).filter(c => typeof c === 'number');
+    const avgConfidence = confidences.length
+        ? confidences.reduce((a, b) => a + b, 0) / confidences.length
+        : (transcription.confidence || null);
+
+    return {
+        speechRate: speakingSpan > 0 ? Math.round(words.length / (speakingSpan / 60)) : 0,
+        idealSpeechRate: IDEAL_WPM,
+        wpmOverTime,
+        longPauses: pauses.length,
+        pauses,
+        deadAirStart: Math.round(firstWord.start * 10) / 10,
+        deadAirEnd: Math.round(Math.max(0, duration - lastWord.end) * 10) / 10,
+        talkTimeRatio: duration > 0 ? Math.round(Math.min(1, talkTime / duration) * 100) : null,
+        clarity: avgConfidence ? Math.round(avgConfidence * 100) : null,
+        timingEstimated: words.some(w => w.estimated)
+    };
+}
+
+// Timestamped delivery feedback derived from the metrics above
+export function pacingMistakes(metrics) {
+    if (!metrics) return [];
+    const mistakes = [];
+    const windows = metrics.wpmOverTime.filter(w => w.wpm > 0);
+
+    if (metrics.speechRate > IDEAL_WPM.max && windows.length) {
+        const fastest = windows.reduce((a, b) => (b.wpm > a.wpm ? b : a));
+        mistakes.push({
+            timestamp: fastest.start,
+            text: `Speaking pace is fast (${metrics.speechRate} WPM, peaking at ${fastest.wpm} WPM here) - slow down to ${IDEAL_WPM.min}-${IDEAL_WPM.max} WPM`
+        });
+    } else if (metrics.speechRate < IDEAL_WPM.min && windows.length) {
+        const slowest = windows.reduce((a, b) => (b.wpm < a.wpm ? b : a));
+        mistakes.push({
+            timestamp: slowest.start,
+            text: `Speaking pace is slow (${metrics.speechRate} WPM, dropping to ${slowest.wpm} WPM here) - aim for ${IDEAL_WPM.min}-${IDEAL_WPM.max} WPM`
+        });
+    }
+
+    if (metrics.deadAirStart >= DEAD_AIR_SECONDS) {
+        mistakes.push({
+            timestamp: '0:00',
+            text: `${metrics.deadAirStart}s of silence before you started speaking - begin your answer promptly`
+        });
+    }
+
+    const longest = metrics.pauses.reduce((a, b) => (!a || b.duration > a.duration ? b : a), null);
+    if (longest && longest.duration >= DEAD_AIR_SECONDS) {
+        mistakes.push({
+            timestamp: longest.timestamp,
+            text: `Long ${longest.duration}s pause mid-answer - use a brief bridging phrase while you collect your thoughts`
+        });
+    }
+
+    return mistakes;
+}
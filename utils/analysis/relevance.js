@@ -0,0 +1,165 @@
+/**
+ * Scores how well each answer addresses the question it was given.
+ * Always computes a local keyword-overlap score; when an LLM is configured
+ * the model's judgment replaces it for the answers it returns.
+ */
+import { formatTimestamp } from './time.js';
+import { completeJson, llmEnabled } from '../llm/index.js';
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+    'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'us', 'was', 'we', 'were',
+    'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'about'
+]);
+
+// Words every interview question uses; they say nothing about the topic
+const QUESTION_BOILERPLATE = new Set([
+    'tell', 'describe', 'explain', 'walk', 'give', 'example', 'time', 'could', 'should', 'share', 'talk',
+    'approach', 'handle', 'ensure', 'situation', 'specific', 'process', 'like', 'through', 'most', 'some', 'any'
+]);
+
+const EVASIVE_PATTERN = /\b(i don'?t know|not sure|no idea|i'?ve never (?:done|had|worked)|can'?t think of|pass on this|skip (?:this|that) (?:one|question)|i'?d rather not|no comment)\b/i;
+
+const ON_TOPIC_SCORE = 60;
+const PARTIAL_SCORE = 30;
+
+function stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s')) return word.slice(0, -1);
+    return word;
+}
+
+function keywords(text, extraStopwords = new Set()) {
+    return (text.toLowerCase().match(/[a-z][a-z+#.-]*/g) || [])
+        .map(w => w.replace(/[.-]+$/, ''))
+        .filter(w => w.length > 2 && !STOPWORDS.has(w) && !extraStopwords.has(w))
+        .map(stem);
+}
+
+function verdictFor(score) {
+    if (score >= ON_TOPIC_SCORE) return 'on-topic';
+    if (score >= PARTIAL_SCORE) return 'partial';
+    return 'off-topic';
+}
+
+export function scoreRelevanceLocally(question, answer) {
+    const questionTerms = [...new Set(keywords(question, QUESTION_BOILERPLATE))];
+    const answerTerms = new Set(keywords(answer.text));
+    const answerWords = answer.text.split(/\s+/).filter(Boolean).length;
+
+    const evasiveSegment = answer.segments.find(s => EVASIVE_PATTERN.test(s.text));
+    if (answerWords < 8 || (evasiveSegment && answerWords < 40)) {
+        return {
+            score: 0,
+            verdict: 'evasive',
+            reason: answerWords < 8 ? 'The question was barely answered' : 'The answer avoids the question instead of attempting it',
+            timestamp: formatTimestamp(evasiveSegment ? evasiveSegment.start : answer.start),
+            matchedTerms: [],
+            source: 'local'
+        };
+    }
+
+    if (questionTerms.length === 0) {
+        return { score: null, verdict: 'unknown', reason: 'Question has no distinctive keywords to compare against', timestamp: formatTimestamp(answer.start), matchedTerms: [], source: 'local' };
+    }
+
+    const matchedTerms = questionTerms.filter(term => answerTerms.has(term));
+    const coverage = matchedTerms.length / questionTerms.length;
+    // Covering ~60% of the question's key terms is treated as fully on-topic
+    const score = Math.round(Math.min(1, coverage / 0.6) * 100);
+    const verdict = verdictFor(score);
+
+    return {
+        score,
+        verdict,
+        reason: verdict === 'on-topic'
+            ? 'The answer addresses the key points of the question'
+            : `The answer only touches ${matchedTerms.length} of ${questionTerms.length} key topics from the question`,
+        timestamp: formatTimestamp(answer.start),
+        matchedTerms,
+        source: 'local'
+    };
+}
+
+const VERDICTS = ['on-topic', 'partial', 'off-topic', 'evasive'];
+
+const RELEVANCE_SCHEMA = {
+    title: 'answer_relevance',
+    type: 'object',
+    required: ['items'],
+    properties: {
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['index', 'score', 'verdict'],
+                properties: {
+                    index: { type: 'integer' },
+                    score: { type: 'number' },
+                    verdict: { type: 'string', enum: VERDICTS },
+                    reason: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+async function scoreRelevanceWithModel(pairs) {
+    const prompt = `You are an interview coach judging whether each answer addresses the question that was asked.
+
+For each item, return a relevance score from 0-100 and a verdict: "on-topic", "partial", "off-topic" or "evasive" (the candidate dodged or refused the question).
+
+${pairs.map(p => `Item ${p.index}
+Question: ${p.question}
+Answer: ${p.answer.slice(0, 1500)}`).join('\n\n')}
+
+Reply ONLY with JSON in this exact format:
+{"items": [{"index": 0, "score": 75, "verdict": "on-topic", "reason": "one short sentence"}]}`;
+
+    const { json, provider } = await completeJson({ prompt, schema: RELEVANCE_SCHEMA, temperature: 0.2, maxTokens: 800, label: 'Answer relevance' });
+    const items = Array.isArray(json) ? json : json.items;
+    if (!Array.isArray(items)) {
+        throw new Error('Relevance reply has no "items" array');
+    }
+    return {
+        provider,
+        items: items.filter(item => Number.isInteger(item.index) && typeof item.score === 'number' && VERDICTS.includes(item.verdict))
+    };
+}
+
+// answers come from segmentAnswers(); answer.index lines up with questions[]
+export async function scoreAnswerRelevance(questions, answers) {
+    const results = answers
+        .filter(answer => questions[answer.index])
+        .map(answer => ({
+            questionIndex: answer.index,
+            ...scoreRelevanceLocally(questions[answer.index], answer)
+        }));
+
+    if (llmEnabled() && results.length > 0) {
+        try {
+            const { provider, items: judged } = await scoreRelevanceWithModel(results.map(r => ({
+                index: r.questionIndex,
+                question: questions[r.questionIndex],
+                answer: answers.find(a => a.index === r.questionIndex).text
+            })));
+
+            for (const item of judged) {
+                const result = results.find(r => r.questionIndex === item.index);
+                if (!result) continue;
+                result.score = Math.max(0, Math.min(100, Math.round(item.score)));
+                result.verdict = item.verdict;
+                result.reason = item.reason || result.reason;
+                result.source = provider;
+            }
+            console.log(`🎯 ${provider} judged relevance for ${judged.length}/${results.length} answers`);
+        } catch (error) {
+            console.warn('LLM relevance scoring failed, keeping local scores:', error.message);
+        }
+    }
+
+    return results;
+}
@@ -0,0 +1,164 @@
+/**
+ * LLM coaching review grounded in the transcript. The model sees the
+ * numbered, timestamped transcript segments, the questions and the
+ * heuristic metrics, and must cite a segment, a timestamp inside it and a
+ * verbatim quote for every strength and mistake. Items that do not check
+ * out against the transcript are dropped, so invented timestamps never
+ * reach the user. The heuristic scores are left as they are; the review
+ * only adds feedback on top.
+ */
+import { formatTimestamp } from './time.js';
+import { completeJson, llmEnabled } from '../llm/index.js';
+
+// Timestamps may round a little either side of the segment they cite
+const TIMESTAMP_TOLERANCE_SECONDS = 1;
+const MAX_PROMPT_SEGMENTS = 200;
+const MAX_SEGMENT_CHARS = 300;
+const MAX_ITEMS = 4;
+const MAX_TIPS = 3;
+
+const CITED_ITEM = {
+    type: 'object',
+    required: ['segment', 'timestamp', 'quote', 'text'],
+    properties: {
+        segment: { type: 'integer' },
+        timestamp: { type: 'string' },
+        quote: { type: 'string' },
+        text: { type: 'string' }
+    }
+};
+
+const REVIEW_SCHEMA = {
+    title: 'transcript_review',
+    type: 'object',
+    required: ['summary', 'strengths', 'mistakes', 'tips'],
+    properties: {
+        summary: { type: 'string' },
+        strengths: { type: 'array', items: CITED_ITEM },
+        mistakes: { type: 'array', items: CITED_ITEM },
+        tips: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// "m:ss", "mm:ss" or "h:mm:ss" -> seconds; null for anything else
+function parseTimestamp(text) {
+    const match = String(text || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:\.\d+)?$/);
+    if (!match) return null;
+    const [, hours, minutes, seconds] = match;
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+
+// shown: the segments the model gets to see, the only ones it may cite
+function buildPrompt(segments, shown, field, { questions, answers, metrics }) {
+    const answerStarts = new Map((answers || [])
+        .filter(a => questions[a.index] && a.segments.length > 0)
+        .map(a => [segments.indexOf(a.segments[0]), a.index]));
+
+    const transcript = shown.map((segment, i) => {
+        const heading = answerStarts.has(i) ? `--- Answer to question ${answerStarts.get(i) + 1} ---\n` : '';
+        const text = segment.text.trim().slice(0, MAX_SEGMENT_CHARS);
+        return `${heading}[${i}] ${formatTimestamp(segment.start)}-${formatTimestamp(segment.end)} ${text}`;
+    }).join('\n');
+
+    return `You are an interview coach reviewing a practice interview for a ${field} position.
+
+${questions.length ? `Questions asked:\n${questions.map((q, i) => `${i + 1}. ${q}`).join('\n')}\n\n` : ''}Measured by our tools (do not re-score these, use them as context):
+${metrics.map(m => `- ${m}`).join('\n')}
+
+Transcript, one segment per line as [segment number] start-end text:
+${transcript}${segments.length > shown.length ? `\n(${segments.length - shown.length} later segments omitted)` : ''}
+
+Review the content of the answers: what the candidate did well and what they should fix.
+- Give at most ${MAX_ITEMS} strengths and ${MAX_ITEMS} mistakes, and at most ${MAX_TIPS} tips.
+- Every strength and mistake must cite the segment number it is about, a timestamp between that segment's start and end, and a short quote copied word for word from that segment.
+- Only comment on what is actually in the transcript. Do not invent examples, quotes or timestamps.
+
+Reply ONLY with JSON in this exact format:
+{"summary": "two sentences", "strengths": [{"segment": 0, "timestamp": "0:04", "quote": "exact words", "text": "why it works"}], "mistakes": [{"segment": 2, "timestamp": "0:31", "quote": "exact words", "text": "what to change"}], "tips": ["one actionable tip"]}`;
+}
+
+// Keeps items whose segment, timestamp and quote all match the transcript the model was shown
+function groundItems(items, segments, kind, rejected) {
+    const grounded = [];
+    for (const item of Array.isArray(items) ? items : []) {
+        const segment = Number.isInteger(item?.segment) ? segments[item.segment] : null;
+        const seconds = parseTimestamp(item?.timestamp);
+        let reason = null;
+
+        if (!segment) reason = `segment ${item?.segment} does not exist`;
+        else if (seconds === null) reason = `timestamp "${item.timestamp}" is not m:ss`;
+        else if (seconds < Math.floor(segment.start) - TIMESTAMP_TOLERANCE_SECONDS || seconds > segment.end + TIMESTAMP_TOLERANCE_SECONDS) {
+            reason = `timestamp ${item.timestamp} is outside segment ${item.segment} (${formatTimestamp(segment.start)}-${formatTimestamp(segment.end)})`;
+        } else if (!normalize(item.quote) || !normalize(segment.text).includes(normalize(item.quote))) {
+            reason = `quote "${String(item.quote || '').slice(0, 60)}" is not in segment ${item.segment}`;
+        } else if (typeof item.text !== 'string' || !item.text.trim()) {
+            reason = 'no feedback text';
+        }
+
+        if (reason) {
+            rejected.push({ kind, reason });
+            continue;
+        }
+        grounded.push({
+            timestamp: formatTimestamp(seconds),
+            seconds,
+            quote: item.quote.trim(),
+            text: item.text.trim()
+        });
+    }
+    return grounded.slice(0, MAX_ITEMS);
+}
+
+/**
+ * Resolves { source, model, summary, strengths, mistakes, tips, rejected }
+ * or null when no LLM is configured, the transcript has no timed segments,
+ * or the model could not be reached - the heuristic analysis stands alone then.
+ * metrics: short "label: value" lines from the heuristic analysis.
+ */
+export async function reviewTranscript(transcription, field, { questions = [], answers = [], metrics = [] } = {}) {
+    const segments = (transcription.segments || []).filter(s => typeof s.start === 'number' && s.text && s.text.trim());
+    if (!llmEnabled() || segments.length === 0) return null;
+    const shown = segments.slice(0, MAX_PROMPT_SEGMENTS);
+
+    let reply;
+    try {
+        reply = await completeJson({
+            prompt: buildPrompt(segments, shown, field, { questions, answers, metrics }),
+            schema: REVIEW_SCHEMA,
+            temperature: 0.3,
+            maxTokens: 1200,
+            label: 'Transcript review'
+        });
+    } catch (error) {
+        console.warn('LLM transcript review failed, keeping heuristic feedback only:', error.message);
+        return null;
+    }
+
+    const { json, provider, model } = reply;
+    // A bare null, number or list parses as JSON too
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        console.warn(`LLM transcript review from ${provider} is not a JSON object, keeping heuristic feedback only`);
+        return null;
+    }
+    const rejected = [];
+    const review = {
+        source: provider,
+        model,
+        summary: typeof json.summary === 'string' ? json.summary.trim() : '',
+        strengths: groundItems(json.strengths, shown, 'strength', rejected),
+        mistakes: groundItems(json.mistakes, shown, 'mistake', rejected),
+        tips: (Array.isArray(json.tips) ? json.tips : [])
+            .filter(tip => typeof tip === 'string' && tip.trim())
+            .map(tip => tip.trim())
+            .slice(0, MAX_TIPS),
+        rejected
+    };
+
+    console.log(`🧑‍🏫 ${provider} review: ${review.strengths.length} strengths, ${review.mistakes.length} mistakes kept`);
+    if (rejected.length > 0) {
+        console.warn(`🧷 Dropped ${rejected.length} ungrounded review item(s):`, rejected.map(r => r.reason).join('; '));
+    }
+    return review;
+}
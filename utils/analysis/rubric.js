@@ -0,0 +1,273 @@
+/**
+ * Explainable rating rubric. rubric.json (RUBRIC_PATH to override) lists
+ * the criteria and their weights; each criterion is scored 0-10 by the
+ * scorer of the same id below, with notes on how the score was reached and
+ * evidence quotes from the transcript.
+ *
+ * The overall rating is the weighted mean of the criteria that could be
+ * measured (relevance needs the questions, for example), with the weights
+ * of unmeasured criteria left out, rounded to the nearest 0.5.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatTimestamp } from './time.js';
+import { IDEAL_WPM } from './pacing.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUBRIC_PATH = process.env.RUBRIC_PATH || path.join(__dirname, '..', '..', 'rubric.json');
+
+export const CONFIDENCE_PATTERN = /\b(successfully|achieved|led|implemented|improved|optimized|designed|developed|managed|created|built|delivered|solved|experience|expertise|proficient|skilled|accomplished|responsible|contributed|collaborated|completed|established|enhanced|streamlined|automated|integrated|architected)\b/gi;
+export const METRIC_PATTERN = /\b(\d+%|\d+\s*(percent|times|years|months|weeks|days|users|customers|projects|team|members|million|thousand|hours|dollars|revenue|growth|reduction|increase|decrease|improvement)\b)/gi;
+const HEDGE_PATTERN = /\b(i think|i guess|maybe|probably|kind of|sort of|i'?m not sure|i believe|hopefully|just trying|i suppose)\b/gi;
+const SIGNPOST_PATTERN = /\b(first|firstly|second|secondly|then|next|after that|finally|as a result|because|so that|for example|for instance|in the end|to summarize|overall)\b/gi;
+
+// A content score of 10 needs this weighted vocabulary score (see lexicon.js), two metrics and ~120 words per answer
+const FULL_VOCABULARY = 12;
+const FULL_METRICS = 2;
+const FULL_WORDS_PER_ANSWER = 120;
+const MAX_EVIDENCE = 3;
+const MAX_QUOTE_LENGTH = 160;
+// Same threshold audio.js uses for its "very quiet overall" mistake
+const QUIET_LUFS = -35;
+
+let rubric = null;
+
+// Reads and validates rubric.json once; throws INVALID_RUBRIC listing every problem found
+export function loadRubric() {
+    if (rubric) return rubric;
+
+    const problems = [];
+    let data = null;
+    try {
+        data = JSON.parse(fs.readFileSync(RUBRIC_PATH, 'utf8'));
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    if (data) {
+        if (!Number.isInteger(data.version) || data.version < 1) problems.push('version must be a positive integer');
+        if (!Array.isArray(data.criteria) || data.criteria.length === 0) {
+            problems.push('criteria must be a non-empty list');
+        } else {
+            const seen = new Set();
+            data.criteria.forEach((criterion, i) => {
+                const where = `criterion ${i + 1}${criterion && criterion.id ? ` (${criterion.id})` : ''}`;
+                if (!criterion || !scorers[criterion.id]) {
+                    problems.push(`${where}: id must be one of ${Object.keys(scorers).join(', ')}`);
+                    return;
+                }
+                if (seen.has(criterion.id)) problems.push(`${where}: listed twice`);
+                seen.add(criterion.id);
+                if (typeof criterion.weight !== 'number' || !(criterion.weight >= 0)) {
+                    problems.push(`${where}: weight must be a non-negative number`);
+                }
+            });
+            if (!data.criteria.some(c => c && c.weight > 0)) problems.push('at least one criterion needs a positive weight');
+        }
+    }
+
+    if (problems.length > 0) {
+        const error = new Error(`Rubric ${RUBRIC_PATH} is invalid:\n  - ${problems.join('\n  - ')}`);
+        error.code = 'INVALID_RUBRIC';
+        error.problems = problems;
+        throw error;
+    }
+
+    rubric = {
+        version: data.version,
+        criteria: data.criteria.map(c => ({ id: c.id, label: c.label || c.id, weight: c.weight, description: c.description || '' }))
+    };
+    console.log(`📏 Loaded rating rubric v${rubric.version} (${rubric.criteria.map(c => `${c.id} ${c.weight}`).join(', ')})`);
+    return rubric;
+}
+
+const clamp = (value) => Math.max(0, Math.min(10, value));
+const round1 = (value) => Math.round(value * 10) / 10;
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+function quote(text) {
+    const clean = text.trim();
+    return clean.length > MAX_QUOTE_LENGTH ? `${clean.slice(0, MAX_QUOTE_LENGTH - 1)}…` : clean;
+}
+
+// Transcript segments (or sentences, without timing) that match the pattern
+function evidenceFor(transcription, pattern, note, limit = MAX_EVIDENCE) {
+    const segments = transcription.segments?.length
+        ? transcription.segments
+        : (transcription.text || '').split(/(?<=[.!?])\s+/).map(text => ({ start: null, text }));
+    return segments
+        .filter(segment => new RegExp(pattern.source, 'i').test(segment.text))
+        .slice(0, limit)
+        .map(segment => ({
+            timestamp: segment.start === null || segment.start === undefined ? null : formatTimestamp(segment.start),
+            quote: quote(segment.text),
+            note
+        }));
+}
+
+const termsPattern = (terms) => new RegExp(`\\b(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '[\\s\\W]+')).join('|')})`, 'i');
+
+const scorers = {
+    content({ transcription, vocabulary, answerCount }) {
+        const text = transcription.text || '';
+        const words = text.split(/\s+/).filter(Boolean).length;
+        const metrics = countMatches(text, METRIC_PATTERN);
+        const vocabularyShare = vocabulary ? Math.min(1, vocabulary.technicalScore / FULL_VOCABULARY) : 0;
+        const metricShare = Math.min(1, metrics / FULL_METRICS);
+        const detailShare = Math.min(1, words / (FULL_WORDS_PER_ANSWER * answerCount));
+
+        const notes = [
+            vocabulary
+                ? `${vocabulary.conceptsMentioned.length} ${vocabulary.lexicon.title} concepts mentioned (${vocabulary.conceptCoverage}% coverage) - ${Math.round(vocabularyShare * 5 * 10) / 10}/5`
+                : 'No field vocabulary measured - 0/5',
+            `${metrics} quantified result${metrics === 1 ? '' : 's'} - ${Math.round(metricShare * 3 * 10) / 10}/3`,
+            `${words} words across ${answerCount} answer${answerCount === 1 ? '' : 's'} - ${Math.round(detailShare * 2 * 10) / 10}/2`
+        ];
+        const mentionedTerms = (vocabulary?.conceptsMentioned || []).flatMap(c => c.terms);
+        const evidence = [
+            ...(mentionedTerms.length ? evidenceFor(transcription, termsPattern(mentionedTerms), 'Field-specific concepts', 2) : []),
+            ...evidenceFor(transcription, METRIC_PATTERN, 'Quantified result', 1)
+        ];
+        return { score: vocabularyShare * 5 + metricShare * 3 + detailShare * 2, notes, evidence };
+    },
+
+    structure({ transcription, star }) {
+        const behavioral = (star || []).filter(s => s.applicable);
+        if (behavioral.length > 0) {
+            const average = behavioral.reduce((sum, s) => sum + s.completeness, 0) / behavioral.length;
+            const missing = [...new Set(behavioral.flatMap(s => s.missing))];
+            const evidence = behavioral.flatMap(s => Object.entries(s.components)
+                .filter(([, component]) => component.present)
+                .map(([name, component]) => ({
+                    timestamp: component.sentences[0].timestamp,
+                    quote: quote(component.sentences[0].text),
+                    note: `STAR ${name}`
+                })))
+                .slice(0, MAX_EVIDENCE + 1);
+            return {
+                score: average / 10,
+                notes: [
+                    `STAR completeness ${Math.round(average)}% across ${behavioral.length} behavioral answer${behavioral.length === 1 ? '' : 's'}`,
+                    ...(missing.length ? [`Missing: ${missing.join(', ')}`] : [])
+                ],
+                evidence
+            };
+        }
+
+        // No behavioral question to hold to STAR; reward answers that guide the listener
+        const signposts = countMatches(transcription.text || '', SIGNPOST_PATTERN);
+        return {
+            score: 4 + Math.min(6, signposts * 1.5),
+            notes: [`No behavioral answers - scored from ${signposts} signposting phrase${signposts === 1 ? '' : 's'} ("first", "as a result", "for example"...)`],
+            evidence: evidenceFor(transcription, SIGNPOST_PATTERN, 'Signposting')
+        };
+    },
+
+    delivery({ fillers, videoMetrics, audio }) {
+        if (!fillers && !videoMetrics) return { score: null, notes: ['No timing or filler data'], evidence: [] };
+
+        let score = 10;
+        const notes = [];
+        const evidence = [];
+        if (fillers) {
+            const penalty = Math.min(5, Math.max(0, fillers.ratePer100Words - 2));
+            score -= penalty;
+            notes.push(`${fillers.ratePer100Words} filler words per 100 words${penalty ? ` - minus ${round1(penalty)}` : ''}`);
+            evidence.push(...fillers.occurrences.filter(o => o.timestamp).slice(0, 2).map(o => ({
+                timestamp: o.timestamp,
+                quote: `"${o.word}"`,
+                note: 'Filler word'
+            })));
+        }
+        if (videoMetrics && videoMetrics.speechRate > 0) {
+            const gap = Math.max(0, IDEAL_WPM.min - videoMetrics.speechRate, videoMetrics.speechRate - IDEAL_WPM.max);
+            const penalty = Math.min(3, gap / 15);
+            score -= penalty;
+            notes.push(`${videoMetrics.speechRate} WPM (ideal ${IDEAL_WPM.min}-${IDEAL_WPM.max})${penalty ? ` - minus ${round1(penalty)}` : ''}`);
+        }
+        if (audio && audio.available) {
+            const clipping = audio.clipping?.events?.length || 0;
+            if (clipping > 0) {
+                score -= 1;
+                notes.push(`${clipping} clipping event${clipping === 1 ? '' : 's'} - minus 1`);
+            }
+            if (audio.integratedLoudness !== null && audio.integratedLoudness < QUIET_LUFS) {
+                score -= 1;
+                notes.push(`Quiet recording (${audio.integratedLoudness} LUFS) - minus 1`);
+            }
+        }
+        return { score, notes, evidence };
+    },
+
+    relevance({ relevance }) {
+        const scored = (relevance || []).filter(r => typeof r.score === 'number');
+        if (scored.length === 0) return { score: null, notes: ['Not measured - no questions were given with the recording'], evidence: [] };
+
+        const average = scored.reduce((sum, r) => sum + r.score, 0) / scored.length;
+        return {
+            score: average / 10,
+            notes: [`Average relevance ${Math.round(average)}/100 over ${scored.length} answer${scored.length === 1 ? '' : 's'}`],
+            evidence: scored.slice(0, MAX_EVIDENCE).map(r => ({
+                timestamp: r.timestamp || null,
+                quote: `Question ${r.questionIndex + 1}: ${r.verdict}`,
+                note: r.reason || ''
+            }))
+        };
+    },
+
+    confidence({ transcription, relevance }) {
+        const text = transcription.text || '';
+        const confident = countMatches(text, CONFIDENCE_PATTERN);
+        const hedges = countMatches(text, HEDGE_PATTERN);
+        const evasive = (relevance || []).filter(r => r.verdict === 'evasive').length;
+
+        const notes = [`${confident} ownership/achievement word${confident === 1 ? '' : 's'} - plus ${round1(Math.min(4, confident * 0.75))}`];
+        if (hedges) notes.push(`${hedges} hedge${hedges === 1 ? '' : 's'} ("I think", "maybe"...) - minus ${Math.min(4, hedges)}`);
+        if (evasive) notes.push(`${evasive} sidestepped question${evasive === 1 ? '' : 's'} - minus ${2 * evasive}`);
+
+        return {
+            score: 5 + Math.min(4, confident * 0.75) - Math.min(4, hedges) - 2 * evasive,
+            notes,
+            evidence: [
+                ...evidenceFor(transcription, CONFIDENCE_PATTERN, 'Owns the result', 2),
+                ...evidenceFor(transcription, HEDGE_PATTERN, 'Hedging', 2)
+            ]
+        };
+    }
+};
+
+/**
+ * inputs: { transcription, vocabulary, fillers, star: [per-answer STAR results],
+ *           relevance: [per-answer relevance results], videoMetrics, audio, answerCount }
+ * Any input may be missing; criteria that cannot be measured get score null and no weight.
+ */
+export function scoreRubric(inputs) {
+    const { version, criteria } = loadRubric();
+    const context = { answerCount: 1, ...inputs };
+
+    const scored = criteria.map(criterion => {
+        const { score, notes, evidence } = scorers[criterion.id](context);
+        return {
+            ...criterion,
+            score: score === null ? null : Math.round(clamp(score) * 10) / 10,
+            notes,
+            evidence
+        };
+    });
+
+    const counted = scored.filter(c => c.score !== null && c.weight > 0);
+    const totalWeight = counted.reduce((sum, c) => sum + c.weight, 0);
+    const overall = totalWeight > 0
+        ? Math.round((counted.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight) * 2) / 2
+        : null;
+
+    return {
+        version,
+        overall,
+        formula: counted.length
+            ? `(${counted.map(c => `${c.score} × ${c.weight}`).join(' + ')}) / ${totalWeight}`
+            : null,
+        criteria: scored.map(c => ({ ...c, share: c.score !== null && totalWeight > 0 && c.weight > 0 ? Math.round((c.weight / totalWeight) * 100) : 0 }))
+    };
+}
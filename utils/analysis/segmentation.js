@@ -0,0 +1,134 @@
+/**
+ * Splits a single interview recording into per-question answers.
+ *
+ * Boundaries come from, in order of preference:
+ *   1. markers   - times (seconds) the user pressed "Next Question" while recording
+ *   2. cues      - spoken transitions such as "question two" or "next question"
+ *   3. pauses    - the longest silences between transcript segments
+ */
+
+const MIN_ANSWER_PAUSE_SECONDS = 2;
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20,
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+// A cue only counts at the start of a segment, optionally after transition words:
+// "Okay, question two" splits, "...and the next question we had to solve was..." does not
+const CUE_LEAD = '(?:(?:okay|ok|alright|all right|right|so|and|now|then|well|um|uh|for|on)[\\s,]+)*';
+
+const QUESTION_CUE = new RegExp(
+    `^\\s*${CUE_LEAD}(?:question\\s+(?:number\\s+)?(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})\\b|(?:the\\s+)?(${Object.keys(NUMBER_WORDS).join('|')})\\s+question\\b|next question|moving on to the next)`,
+    'i'
+);
+
+// Accepts the raw form field (JSON string) or an array; returns sorted, valid boundary times
+export function parseMarkers(raw) {
+    let markers = raw;
+    if (typeof raw === 'string') {
+        try {
+            markers = JSON.parse(raw);
+        } catch {
+            return [];
+        }
+    }
+    if (!Array.isArray(markers)) return [];
+
+    return markers
+        .map(Number)
+        .filter(t => Number.isFinite(t) && t > 0)
+        .sort((a, b) => a - b);
+}
+
+function cueNumber(match) {
+    const word = (match[1] || match[2] || '').toLowerCase();
+    if (!word) return null;
+    return NUMBER_WORDS[word] || Number(word) || null;
+}
+
+function boundariesFromCues(segments, questionCount) {
+    const boundaries = [];
+    for (let i = 1; i < segments.length; i++) {
+        const match = segments[i].text.match(QUESTION_CUE);
+        if (!match) continue;
+
+        // "question one" at the very beginning is not a transition
+        const number = cueNumber(match);
+        if (number === 1) continue;
+
+        boundaries.push(segments[i].start);
+    }
+    return boundaries.slice(0, questionCount - 1);
+}
+
+function boundariesFromPauses(segments, questionCount) {
+    const gaps = [];
+    for (let i = 1; i < segments.length; i++) {
+        const gap = segments[i].start - segments[i - 1].end;
+        if (gap >= MIN_ANSWER_PAUSE_SECONDS) {
+            gaps.push({ at: segments[i].start, gap });
+        }
+    }
+
+    return gaps
+        .sort((a, b) => b.gap - a.gap)
+        .slice(0, questionCount - 1)
+        .map(g => g.at)
+        .sort((a, b) => a - b);
+}
+
+export function segmentAnswers(transcription, { questionCount = 1, markers = [] } = {}) {
+    const segments = transcription.segments || [];
+    const expected = Math.max(1, Number(questionCount) || 1);
+    const duration = transcription.duration || (segments.length ? segments[segments.length - 1].end : 0);
+
+    let method = 'single';
+    let boundaries = [];
+
+    if (expected > 1 && segments.length > 0) {
+        const validMarkers = parseMarkers(markers).filter(t => !duration || t < duration);
+        if (validMarkers.length > 0) {
+            method = 'marker';
+            boundaries = validMarkers.slice(0, expected - 1);
+        } else {
+            boundaries = boundariesFromCues(segments, expected);
+            method = 'cue';
+            if (boundaries.length === 0) {
+                boundaries = boundariesFromPauses(segments, expected);
+                method = boundaries.length > 0 ? 'pause' : 'single';
+            }
+        }
+    }
+
+    const starts = [0, ...boundaries];
+    const answers = starts.map((start, index) => ({
+        index,
+        start,
+        end: index + 1 < starts.length ? starts[index + 1] : duration,
+        segments: []
+    }));
+
+    // Assign each transcript segment to the answer its midpoint falls in
+    for (const segment of segments) {
+        const midpoint = (segment.start + segment.end) / 2;
+        let target = 0;
+        while (target + 1 < starts.length && midpoint >= starts[target + 1]) target++;
+        answers[target].segments.push(segment);
+    }
+
+    for (const answer of answers) {
+        answer.text = answer.segments.map(s => s.text).join(' ').trim();
+        if (answer.segments.length > 0) {
+            answer.start = Math.max(answer.start, answer.segments[0].start);
+        }
+    }
+
+    if (segments.length === 0) {
+        answers[0].text = (transcription.text || '').trim();
+    }
+
+    return { method, expected, answers };
+}
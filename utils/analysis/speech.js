@@ -0,0 +1,184 @@
+/**
+ * Transcript-based interview analysis shared by the Express server and the
+ * Vercel functions.
+ */
+import { formatTimestamp } from './time.js';
+import { detectFillers, peakFillerTimestamp } from './fillers.js';
+import { scoreVocabulary } from './lexicon.js';
+import { scoreRubric, CONFIDENCE_PATTERN, METRIC_PATTERN } from './rubric.js';
+
+// Weighted vocabulary score (see lexicon.js) that counts as technical depth
+const SOLID_VOCABULARY = 4;
+const STRONG_VOCABULARY = 10;
+
+const listLabels = (concepts) => concepts.map(c => c.label).join(', ');
+
+function summarize(vocabulary, fillerWords, rubric) {
+    const { wordCount, technicalTerms, confidenceWords } = vocabulary;
+    const rating = rubric.overall;
+    const breakdown = rubric.criteria
+        .filter(c => c.score !== null)
+        .map(c => `${c.label} ${c.score}`)
+        .join(', ');
+    return `Real speech transcription analysis: ${wordCount} words analyzed. Technical terms: ${technicalTerms}, Confidence indicators: ${confidenceWords}, Filler words: ${fillerWords}. Rating: ${rating}/10 (${breakdown}). ${rating >= 7 ? 'Strong interview performance with clear technical communication.' : rating >= 5 ? 'Good foundation with specific areas for improvement based on actual speech content.' : 'Focus on the identified areas to significantly enhance interview performance.'}`;
+}
+
+/**
+ * Scores the rubric (see rubric.js) and sets rating, rubric and summary from it.
+ * analyzeRealSpeech scores what the transcript alone shows; analyzeInterview
+ * calls this again once STAR structure, relevance, pacing and audio are known.
+ */
+export function applyRubric(analysis, inputs) {
+    if (!analysis.vocabulary) return analysis; // too short to score, rating stays as set
+    const rubric = scoreRubric({ vocabulary: analysis.vocabulary, ...inputs });
+    analysis.rubric = rubric;
+    analysis.rating = rubric.overall;
+    analysis.summary = summarize(analysis.vocabulary, inputs.fillers ? inputs.fillers.total : 0, rubric);
+    return analysis;
+}
+
+// Analyze REAL speech content (like your local Cohere analysis)
+export async function analyzeRealSpeech(transcription, field) {
+    const text = transcription.text;
+    const wordCount = text.split(' ').length;
+    // Answer-wide issues point at where the answer starts
+    const answerStart = transcription.segments?.length ? formatTimestamp(transcription.segments[0].start) : null;
+    
+    console.log('🧠 Analyzing real speech:', { wordCount, field });
+
+    // Check for empty/minimal speech
+    if (wordCount < 5) {
+        return {
+            rating: 0,
+            mistakes: [{
+                timestamp: answerStart || '0:05',
+                text: 'No meaningful speech detected - please speak clearly into the microphone'
+            }],
+            tips: [
+                'Ensure you are actually speaking during the recording',
+                'Check microphone permissions and audio levels',
+                'Speak clearly and at normal volume',
+                'Record in a quiet environment'
+            ],
+            summary: 'No speech content detected for analysis. Please record again with clear audio.',
+            rubric: null
+        };
+    }
+
+    if (wordCount < 20) {
+        return {
+            rating: 2,
+            mistakes: [{
+                timestamp: answerStart || '0:10',
+                text: 'Response too brief - provide more detailed answers with specific examples'
+            }],
+            tips: [
+                'Elaborate on your experience with concrete examples',
+                'Use the STAR method (Situation, Task, Action, Result)',
+                'Aim for 1-2 minutes per response',
+                'Include specific technologies and metrics'
+            ],
+            summary: `Brief response detected (${wordCount} words). Expand your answers for better evaluation.`,
+            rubric: null
+        };
+    }
+
+    // REAL content analysis
+    // Terms from the lexicon for this field, so a nurse is measured against nursing concepts
+    const vocabulary = scoreVocabulary(text, field);
+    const technicalTerms = vocabulary.terms;
+
+    const confidenceWords = (text.match(CONFIDENCE_PATTERN) || []).length;
+
+    const fillers = detectFillers(transcription);
+    const fillerWords = fillers.total;
+
+    const specificMetrics = (text.match(METRIC_PATTERN) || []).length;
+
+    const questionWords = (text.match(/\b(what|how|why|when|where|which|who|could you|can you|would you|do you|have you|will you)\b/gi) || []).length;
+
+    console.log('📊 Real speech analysis:', {
+        wordCount,
+        lexicon: vocabulary.lexicon.role,
+        technicalTerms,
+        technicalScore: vocabulary.score,
+        confidenceWords,
+        fillerWords,
+        specificMetrics,
+        questionWords
+    });
+
+    // Generate specific mistakes based on real content
+    const mistakes = [];
+    
+    if (fillerWords > wordCount / 15) {
+        const fillerPercent = Math.round((fillerWords / wordCount) * 100);
+        const [mostCommon] = Object.entries(fillers.byWord).sort((a, b) => b[1] - a[1])[0];
+        mistakes.push({
+            timestamp: peakFillerTimestamp(fillers) || answerStart || '1:15',
+            text: `Reduce filler words (${fillerPercent}% of speech, most often "${mostCommon}") - practice speaking more deliberately`
+        });
+    }
+
+    if (specificMetrics === 0 && wordCount > 30) {
+        mistakes.push({
+            timestamp: answerStart || '1:30',
+            text: 'Include specific metrics and quantifiable achievements in your examples'
+        });
+    }
+
+    if (vocabulary.score < SOLID_VOCABULARY && wordCount > 30) {
+        mistakes.push({
+            timestamp: answerStart || '2:00',
+            text: vocabulary.missing.length > 0
+                ? `Use more ${field}-specific terminology - you didn't touch on ${listLabels(vocabulary.missing.slice(0, 3))}`
+                : `Use more ${field}-specific technical terminology to demonstrate expertise`
+        });
+    }
+
+    if (confidenceWords < 2 && wordCount > 40) {
+        mistakes.push({
+            timestamp: answerStart || '1:45',
+            text: 'Use more confident, achievement-oriented language when describing your experience'
+        });
+    }
+
+    if (wordCount < 40) {
+        mistakes.push({
+            timestamp: answerStart || '0:30',
+            text: 'Provide more comprehensive responses with detailed examples and context'
+        });
+    }
+
+    // Generate real content-based tips
+    const tips = [
+        `Real speech analysis: ${wordCount} words, ${technicalTerms} technical terms, ${confidenceWords} confidence indicators`,
+        vocabulary.score >= STRONG_VOCABULARY
+            ? `Excellent ${vocabulary.lexicon.title} vocabulary - you covered ${listLabels(vocabulary.mentioned)}`
+            : vocabulary.missing.length > 0
+                ? `Bring in key ${vocabulary.lexicon.title} concepts you skipped: ${vocabulary.missing.map(c => `${c.label} (e.g. "${c.examples[0]}")`).join(', ')}`
+                : `Include more ${field}-specific technical concepts and terminology`,
+        confidenceWords > 2 ? 'Strong confident communication style detected' : 'Practice using more achievement-focused language',
+        specificMetrics > 0 ? 'Good use of quantifiable results' : 'Always include specific numbers and measurable outcomes',
+        fillerWords < wordCount / 25 ? 'Clear, fluent speech patterns' : 'Practice reducing filler words for more professional delivery'
+    ];
+
+    const analysis = {
+        mistakes: mistakes.slice(0, 3),
+        tips: tips.slice(0, 5),
+        vocabulary: {
+            wordCount,
+            technicalTerms,
+            technicalTermsPer100Words: Math.round((technicalTerms / wordCount) * 1000) / 10,
+            technicalScore: vocabulary.score,
+            conceptCoverage: vocabulary.coverage,
+            lexicon: vocabulary.lexicon,
+            conceptsMentioned: vocabulary.mentioned,
+            conceptsMissing: vocabulary.missing,
+            confidenceWords,
+            specificMetrics
+        }
+    };
+
+    return applyRubric(analysis, { transcription, fillers });
+}
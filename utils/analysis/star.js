@@ -0,0 +1,115 @@
+/**
+ * STAR-method structure detector. Classifies each sentence of an answer as
+ * Situation, Task, Action or Result using phrase cues and reports which
+ * components the answer is missing.
+ */
+import { formatTimestamp } from './time.js';
+
+export const STAR_COMPONENTS = ['situation', 'task', 'action', 'result'];
+
+const COMPONENT_CUES = {
+    situation: [
+        /\b(?:at|in) my (?:last|previous|current|first) (?:job|role|position|company|team|internship)\b/i,
+        /\bwhen I was (?:working|at|in|a|an|on)\b/i,
+        /\b(?:back in|during) (?:20\d\d|my|our|the)\b/i,
+        /\b(?:there was|we had|we were|our team was|the company was|the project was)\b/i,
+        /\bthe (?:main |biggest |real |key )?(?:problem|issue|challenge|context|situation|bottleneck) (?:was|is)\b/i,
+        /\bworking (?:at|for|on) (?:a|an|the)\b/i
+    ],
+    task: [
+        /\bmy (?:role|job|task|responsibility|goal|assignment) (?:was|is)\b/i,
+        /\bI was (?:responsible|asked|tasked|assigned|expected|in charge)\b/i,
+        /\b(?:I|we) (?:needed|had|were asked) to\b/i,
+        /\bthe (?:goal|objective|target|deadline|requirement) was\b/i,
+        /\b(?:my|our) (?:goal|objective|mission) was\b/i
+    ],
+    action: [
+        /\b(?:so |then |first,? |next,? |finally,? )?I (?:decided|implemented|built|created|organized|led|wrote|designed|talked|spoke|set up|reached out|analyzed|analysed|proposed|started|introduced|refactored|added|profiled|rewrote|scheduled|coordinated|investigated|researched|automated|negotiated|presented|trained|mentored|prioritized|migrated|tested|fixed|debugged)\b/i,
+        /\b(?:my approach was|what I did was|the first thing I did|I took the initiative)\b/i,
+        /\bwe (?:implemented|built|designed|migrated|refactored|introduced|set up|automated)\b/i
+    ],
+    result: [
+        /\b(?:as a result|in the end|ultimately|eventually|the outcome|the result|this resulted|which resulted|that resulted)\b/i,
+        /\b(?:which|that|this|we|it) (?:led to|reduced|increased|improved|saved|cut|doubled|tripled|boosted)\b/i,
+        /\bwe (?:delivered|shipped|launched|hit|met|exceeded|won|closed)\b/i,
+        /\b\d+(?:\.\d+)?\s*(?:%|percent|x faster|times)\b/i,
+        /\bI (?:learned|learnt|realized)\b/i
+    ]
+};
+
+const BEHAVIORAL_QUESTION = /\b(?:tell me about a time|describe a (?:time|situation|project|challenge|conflict|mistake)|give (?:me )?an example|have you ever|walk me through a (?:time|situation|project)|tell me about (?:a|your) (?:challenging|difficult|most)|share an experience)\b/i;
+
+const MISSING_ADVICE = {
+    situation: 'Set the scene: where you were and what was going on',
+    task: 'State your responsibility or the goal you had to achieve',
+    action: 'Describe the specific steps you personally took',
+    result: 'Close with the outcome, ideally with a measurable number'
+};
+
+export function isBehavioralQuestion(question) {
+    return BEHAVIORAL_QUESTION.test(question || '');
+}
+
+// Sentences keep the start time of the transcript segment they came from
+function sentencesOf(answer) {
+    const sources = answer.segments && answer.segments.length
+        ? answer.segments
+        : [{ start: answer.start ?? null, text: answer.text || '' }];
+
+    const sentences = [];
+    for (const source of sources) {
+        for (const sentence of source.text.split(/(?<=[.!?])\s+/)) {
+            const text = sentence.trim();
+            if (text.split(/\s+/).length >= 3) {
+                sentences.push({ text, start: source.start });
+            }
+        }
+    }
+    return sentences;
+}
+
+// position is the sentence's place in the answer, 0 (first) to 1 (last)
+function classifySentence(text, position) {
+    // Ties go to the component that fits where the sentence sits: "In my last role I led a team"
+    // opens an answer (situation), "so I fixed it and cut latency by 40%" closes one (result)
+    const order = position < 1 / 3 ? STAR_COMPONENTS : [...STAR_COMPONENTS].reverse();
+
+    let best = null;
+    let bestHits = 0;
+    for (const component of order) {
+        const hits = COMPONENT_CUES[component].filter(cue => cue.test(text)).length;
+        if (hits > bestHits) {
+            best = component;
+            bestHits = hits;
+        }
+    }
+    return best;
+}
+
+export function analyzeStarStructure(answer, question) {
+    const components = {};
+    for (const component of STAR_COMPONENTS) {
+        components[component] = { present: false, sentences: [] };
+    }
+
+    const sentences = sentencesOf(answer);
+    sentences.forEach((sentence, index) => {
+        const component = classifySentence(sentence.text, sentences.length > 1 ? index / (sentences.length - 1) : 0);
+        if (!component) return;
+        components[component].present = true;
+        components[component].sentences.push({
+            text: sentence.text,
+            timestamp: sentence.start === null ? null : formatTimestamp(sentence.start)
+        });
+    });
+
+    const missing = STAR_COMPONENTS.filter(c => !components[c].present);
+
+    return {
+        applicable: question ? isBehavioralQuestion(question) : true,
+        completeness: Math.round(((STAR_COMPONENTS.length - missing.length) / STAR_COMPONENTS.length) * 100),
+        components,
+        missing,
+        advice: missing.map(c => MISSING_ADVICE[c])
+    };
+}
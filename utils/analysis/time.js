@@ -0,0 +1,7 @@
+// Seconds -> "m:ss", the timestamp format used throughout the analysis response
+export function formatTimestamp(seconds) {
+    const safe = Math.max(0, Number(seconds) || 0);
+    const minutes = Math.floor(safe / 60);
+    const secs = Math.floor(safe % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,44 @@
+/**
+ * Flattens a transcript into a timed word list. Uses provider word timings
+ * when available and otherwise spreads a segment's words evenly across it
+ * (flagged as estimated).
+ */
+
+function normalizeWord(raw) {
+    return raw.toLowerCase().replace(/[^a-z0-9'%]/g, '');
+}
+
+export function wordTimeline(transcription) {
+    const segments = transcription.segments || [];
+    const words = [];
+
+    if (segments.length === 0) {
+        for (const raw of (transcription.text || '').split(/\s+/).filter(Boolean)) {
+            words.push({ raw, word: normalizeWord(raw), start: null, end: null, estimated: true });
+        }
+        return words;
+    }
+
+    for (const segment of segments) {
+        if (segment.words && segment.words.length > 0) {
+            for (const w of segment.words) {
+                words.push({ raw: w.word, word: normalizeWord(w.word), start: w.start, end: w.end, estimated: false });
+            }
+            continue;
+        }
+
+        const raws = segment.text.split(/\s+/).filter(Boolean);
+        const step = raws.length ? (segment.end - segment.start) / raws.length : 0;
+        raws.forEach((raw, i) => {
+            words.push({
+                raw,
+                word: normalizeWord(raw),
+                start: segment.start + i * step,
+                end: segment.start + (i + 1) * step,
+                estimated: true
+            });
+        });
+    }
+
+    return words.filter(w => w.word);
+}
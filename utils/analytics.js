@@ -0,0 +1,180 @@
+/**
+ * Progress analytics over a user's saved practice sessions: per-session
+ * metrics for each skill dimension, earlier-vs-recent trends, and the
+ * "most improved" / "persistent weakness" callouts shown on the dashboard.
+ */
+import { userSessions } from './history.js';
+import { IDEAL_WPM } from './analysis/pacing.js';
+
+// Sessions needed before a trend or weakness is called out
+const MIN_TREND_SESSIONS = 3;
+const RECENT_SESSIONS = 3;
+
+// better: which direction counts as progress. scale: a change this size is a big move.
+// weak(value): below the bar for an interview-ready answer.
+const DIMENSIONS = [
+    {
+        key: 'rating',
+        label: 'Overall rating',
+        unit: '/10',
+        better: 'higher',
+        scale: 2,
+        read: a => a.rating,
+        weak: v => v < 6,
+        advice: 'Your overall score has stayed below 6/10 - review the recommendations from your recent sessions'
+    },
+    {
+        key: 'fillerRate',
+        label: 'Filler words',
+        unit: ' per 100 words',
+        better: 'lower',
+        scale: 3,
+        read: a => a.fillers?.ratePer100Words,
+        weak: v => v > 4,
+        advice: 'Filler words keep coming up - pause silently instead of saying "um" or "like"'
+    },
+    {
+        key: 'wpm',
+        label: 'Speaking pace',
+        unit: ' WPM',
+        better: 'ideal',
+        scale: 30,
+        read: a => a.videoMetrics?.speechRate,
+        weak: v => v < IDEAL_WPM.min - 10 || v > IDEAL_WPM.max + 10,
+        advice: `Your pace is consistently outside ${IDEAL_WPM.min}-${IDEAL_WPM.max} WPM - practice with a timer to find a steady rhythm`
+    },
+    {
+        key: 'starCompleteness',
+        label: 'STAR completeness',
+        unit: '%',
+        better: 'higher',
+        scale: 25,
+        read: a => a.star?.averageCompleteness,
+        weak: v => v < 50,
+        advice: 'Behavioral answers keep missing STAR parts - close every story with the result you achieved'
+    },
+    {
+        key: 'technicalTerms',
+        label: 'Technical vocabulary',
+        unit: ' per 100 words',
+        better: 'higher',
+        scale: 2,
+        read: a => a.vocabulary?.technicalTermsPer100Words,
+        weak: v => v < 1,
+        advice: 'Technical vocabulary stays thin - name the tools, techniques and trade-offs you worked with'
+    }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Distance outside the ideal pace range; 0 when inside it
+const paceGap = (wpm) => Math.max(0, IDEAL_WPM.min - wpm, wpm - IDEAL_WPM.max);
+
+const fieldKey = (field) => String(field || 'general').trim().toLowerCase();
+
+function sessionPoint(session) {
+    const point = { id: session.id, createdAt: session.createdAt, field: session.field };
+    for (const dimension of DIMENSIONS) {
+        const value = dimension.read(session.analysis);
+        point[dimension.key] = typeof value === 'number' && Number.isFinite(value) ? round(value) : null;
+    }
+    return point;
+}
+
+// Compares the first half of the sessions with the second; improvement is in units of `scale`
+function dimensionTrend(dimension, points) {
+    const values = points.map(p => p[dimension.key]).filter(v => v !== null);
+    const summary = {
+        key: dimension.key,
+        label: dimension.label,
+        unit: dimension.unit,
+        better: dimension.better,
+        sessions: values.length,
+        average: values.length ? round(mean(values)) : null,
+        latest: values.length ? values[values.length - 1] : null,
+        earlier: null,
+        recent: null,
+        improvement: null,
+        trend: 'insufficient-data'
+    };
+    if (values.length < MIN_TREND_SESSIONS) return summary;
+
+    const half = Math.floor(values.length / 2);
+    const earlier = mean(values.slice(0, half));
+    const recent = mean(values.slice(values.length - half));
+    const improvement = dimension.better === 'higher' ? recent - earlier
+        : dimension.better === 'lower' ? earlier - recent
+            : paceGap(earlier) - paceGap(recent);
+
+    summary.earlier = round(earlier);
+    summary.recent = round(recent);
+    summary.improvement = Math.round((improvement / dimension.scale) * 100) / 100;
+    summary.trend = summary.improvement >= 0.15 ? 'improving' : summary.improvement <= -0.15 ? 'declining' : 'steady';
+    return summary;
+}
+
+// Weak in every one of the last few sessions that measured it
+function persistentWeakness(dimension, points) {
+    const recent = points.map(p => p[dimension.key]).filter(v => v !== null).slice(-RECENT_SESSIONS);
+    if (recent.length < MIN_TREND_SESSIONS || !recent.every(dimension.weak)) return null;
+
+    return {
+        key: dimension.key,
+        label: dimension.label,
+        recentAverage: round(mean(recent)),
+        unit: dimension.unit,
+        sessions: recent.length,
+        message: dimension.advice
+    };
+}
+
+function fieldBreakdown(points) {
+    const groups = new Map();
+    for (const point of points) {
+        const key = fieldKey(point.field);
+        if (!groups.has(key)) groups.set(key, { field: point.field, points: [] });
+        groups.get(key).points.push(point);
+    }
+
+    return [...groups.values()].map(({ field, points: fieldPoints }) => {
+        const ratings = fieldPoints.map(p => p.rating).filter(v => v !== null);
+        return {
+            field,
+            sessions: fieldPoints.length,
+            averageRating: ratings.length ? round(mean(ratings)) : null,
+            latestRating: ratings.length ? ratings[ratings.length - 1] : null,
+            lastPracticed: fieldPoints[fieldPoints.length - 1].createdAt
+        };
+    }).sort((a, b) => b.sessions - a.sessions);
+}
+
+// field: only include sessions for that field (case-insensitive)
+export async function buildProgressReport(userId, { field = null } = {}) {
+    const allPoints = (await userSessions(userId))
+        .filter(s => typeof s.analysis.rating === 'number')
+        .map(sessionPoint);
+    const points = field ? allPoints.filter(p => fieldKey(p.field) === fieldKey(field)) : allPoints;
+
+    const dimensions = DIMENSIONS.map(dimension => dimensionTrend(dimension, points));
+    const improving = dimensions
+        .filter(d => d.trend === 'improving')
+        .sort((a, b) => b.improvement - a.improvement);
+
+    return {
+        field: field || null,
+        fields: fieldBreakdown(allPoints),
+        sessions: points,
+        dimensions,
+        callouts: {
+            mostImproved: improving.length ? {
+                key: improving[0].key,
+                label: improving[0].label,
+                earlier: improving[0].earlier,
+                recent: improving[0].recent,
+                unit: improving[0].unit
+            } : null,
+            persistentWeaknesses: DIMENSIONS.map(dimension => persistentWeakness(dimension, points)).filter(Boolean)
+        }
+    };
+}
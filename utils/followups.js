@@ -0,0 +1,184 @@
+/**
+ * Follow-up questions that probe the answer just given, the way a real
+ * interviewer would. Rule-based probes look for what the answer left out
+ * (no numbers, no outcome, "we" instead of "I", a dodged question); the
+ * configured LLM gets those gaps as hints and writes the follow-ups itself,
+ * with the rules filling in whatever it does not supply.
+ */
+import { completeJson, llmEnabled } from './llm/index.js';
+import { METRIC_PATTERN } from './analysis/rubric.js';
+import { analyzeStarStructure, isBehavioralQuestion } from './analysis/star.js';
+import { scoreRelevanceLocally } from './analysis/relevance.js';
+import { scoreVocabulary } from './analysis/lexicon.js';
+
+export const MAX_FOLLOWUPS = 2;
+const MIN_WORDS = 4;
+const MAX_WORDS = 60;
+const SHORT_ANSWER_WORDS = 40;
+const MAX_ANSWER_CHARS = 3000;
+
+const FOLLOWUP_SCHEMA = {
+    title: 'followup_questions',
+    type: 'object',
+    required: ['questions'],
+    properties: {
+        questions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['text'],
+                properties: {
+                    text: { type: 'string' },
+                    reason: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const countOf = (text, pattern) => (text.match(pattern) || []).length;
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// A lexicon term as the candidate said it ("Docker", not "docker"; "unit tests", not "unit test")
+function spoken(text, term) {
+    const match = text.match(new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:e?s)?\\b`, 'i'));
+    return match ? match[0] : term;
+}
+
+// Each probe returns { text, reason } when the answer has the gap it looks for, in priority order
+const PROBES = [
+    ['evasive', ({ relevance }) => relevance.verdict === 'evasive' && {
+        text: "That's fine if you haven't faced exactly that - how would you approach it if it came up in your first month here?",
+        reason: 'The answer sidestepped the question'
+    }],
+    ['no-result', ({ star }) => star.applicable && star.missing.includes('result') && {
+        text: 'How did it turn out in the end, and how did you know it had worked?',
+        reason: 'The story has no outcome'
+    }],
+    ['no-metrics', ({ text, vocabulary }) => countOf(text, METRIC_PATTERN) === 0 && {
+        text: vocabulary.mentioned.length > 0
+            ? `What measurable difference did your work on ${spoken(text, vocabulary.mentioned[0].terms[0])} make - can you put a number on it?`
+            : 'Can you put a number on the impact - time saved, errors reduced, money or users gained?',
+        reason: 'No metrics or quantified results were given'
+    }],
+    ['we-not-i', ({ text }) => countOf(text, /\bwe\b/gi) >= 3 && countOf(text, /\bwe\b/gi) > 2 * countOf(text, /\bI\b/g) && {
+        text: 'You mentioned what the team did - what was your personal contribution?',
+        reason: 'The answer says "we" far more than "I"'
+    }],
+    ['no-action', ({ star }) => star.applicable && star.missing.includes('action') && {
+        text: 'What did you personally do, step by step, to get there?',
+        reason: 'The story has no concrete actions'
+    }],
+    ['off-topic', ({ relevance }) => relevance.verdict === 'off-topic' && {
+        text: 'Coming back to the original question - what specifically would you do, step by step?',
+        reason: 'The answer drifted away from the question'
+    }],
+    ['depth', ({ text, vocabulary }) => vocabulary.mentioned.length > 0 && {
+        text: `You mentioned ${spoken(text, vocabulary.mentioned[vocabulary.mentioned.length - 1].terms[0])}. What trade-offs did you weigh there, and what would you choose differently next time?`,
+        reason: 'Probing the depth behind a concept that came up'
+    }],
+    ['short', ({ words }) => words < SHORT_ANSWER_WORDS && {
+        text: 'Can you walk me through a specific example of that?',
+        reason: `The answer was brief (${words} words)`
+    }],
+    ['reflection', () => ({
+        text: 'Looking back, what would you do differently if you faced the same situation again?',
+        reason: 'Checking for reflection and learning'
+    })]
+];
+
+// Rule-based follow-ups, most important gap first
+export function ruleFollowups(question, answer, field, count = MAX_FOLLOWUPS) {
+    const text = answer.trim();
+    // One segment for the whole answer: the relevance check looks for dodges segment by segment
+    const answerSegment = { text, start: 0, segments: [{ start: 0, end: 0, text }] };
+    const context = {
+        text,
+        words: text.split(/\s+/).filter(Boolean).length,
+        relevance: scoreRelevanceLocally(question, answerSegment),
+        star: isBehavioralQuestion(question) ? analyzeStarStructure(answerSegment, question) : { applicable: false, missing: [] },
+        vocabulary: scoreVocabulary(text, field || '')
+    };
+
+    const followups = [];
+    for (const [rule, probe] of PROBES) {
+        const followup = probe(context);
+        if (followup) followups.push({ ...followup, rule, source: 'rules' });
+        if (followups.length >= count) break;
+    }
+    return followups;
+}
+
+function followupProblem(text, question, seen) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    if (words < MIN_WORDS) return `too short (${words} words)`;
+    if (words > MAX_WORDS) return `too long (${words} words)`;
+    if (!text.endsWith('?')) return 'does not end with "?"';
+    if (normalize(text) === normalize(question) || seen.has(normalize(text))) return 'repeats a question';
+    return null;
+}
+
+function buildPrompt(question, answer, field, count, hints) {
+    return `You are interviewing a candidate${field ? ` for a ${field} position` : ''}. Ask ${count} short follow-up question${count === 1 ? '' : 's'} that probe the answer they just gave, the way an experienced interviewer would.
+
+Question: ${question}
+Answer: ${answer.slice(0, MAX_ANSWER_CHARS)}
+
+Gaps our checks noticed (use them if they matter, ignore them if not):
+${hints.map(h => `- ${h.reason}`).join('\n')}
+
+Requirements:
+- Each follow-up must build on something the candidate actually said, or on what they left out
+- One question each, under 30 words, ending with a question mark
+- Do not repeat the original question
+
+Reply with JSON only: {"questions": [{"text": "...?", "reason": "what it probes"}]}`;
+}
+
+/**
+ * Resolves { followups: [{ text, reason, source, rule? }], source, model }.
+ * source is the LLM provider, 'rules', or '<provider>+rules' when the rules filled the gap.
+ */
+export async function generateFollowups(question, answer, field, count = MAX_FOLLOWUPS) {
+    const rules = ruleFollowups(question, answer, field, PROBES.length);
+    const followups = [];
+    let provider = null;
+    let model = null;
+
+    if (llmEnabled()) {
+        try {
+            const reply = await completeJson({
+                prompt: buildPrompt(question, answer, field, count, rules.slice(0, 3)),
+                schema: FOLLOWUP_SCHEMA,
+                temperature: 0.5,
+                maxTokens: 400,
+                label: 'Follow-up questions'
+            });
+            ({ provider, model } = reply);
+
+            const seen = new Set();
+            for (const candidate of Array.isArray(reply.json?.questions) ? reply.json.questions : []) {
+                const text = String(candidate?.text || '').replace(/\s+/g, ' ').trim();
+                const problem = followupProblem(text, question, seen);
+                if (problem) {
+                    console.warn(`⚠️ Rejected follow-up (${problem}): ${text}`);
+                    continue;
+                }
+                seen.add(normalize(text));
+                followups.push({ text, reason: String(candidate.reason || '').trim(), source: provider });
+                if (followups.length >= count) break;
+            }
+        } catch (error) {
+            console.warn('LLM follow-up generation failed, using rule-based follow-ups:', error.message);
+        }
+    }
+
+    const fromRules = rules.slice(0, count - followups.length);
+    followups.push(...fromRules);
+
+    return {
+        followups,
+        source: provider ? (fromRules.length > 0 ? `${provider}+rules` : provider) : 'rules',
+        model
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * Per-user practice history: every analyzed recording with its questions,
+ * transcript and full analysis, persisted in data/practice-sessions.json,
+ * plus the recording itself when the upload is still held (see recordings.js).
+ * Errors carry `code` and an HTTP `status` like the account errors.
+ */
+import crypto from 'crypto';
+import { jsonCollection } from './storage.js';
+import { claimRecording, heldResult, recordingPath, deleteRecording } from './recordings.js';
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const sessions = jsonCollection('practice-sessions');
+
+function historyError(code, message, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+// What the history list needs - the full record is only sent for one session at a time
+function summarize(session) {
+    return {
+        id: session.id,
+        field: session.field,
+        createdAt: session.createdAt,
+        rating: session.analysis.rating,
+        questionCount: session.questions.length,
+        mistakes: session.analysis.mistakes.length,
+        tips: session.analysis.tips.length,
+        source: session.source,
+        hasRecording: Boolean(session.recording)
+    };
+}
+
+// Stores the server's own result for recordingId - analyses posted by the client are never trusted
+export async function saveSession(userId, body = {}) {
+    const result = typeof body.recordingId === 'string' ? heldResult(body.recordingId, userId) : null;
+    if (!result) {
+        throw historyError('ANALYSIS_NOT_FOUND', 'This analysis has expired - analyze the recording again to save it', 404);
+    }
+
+    const id = crypto.randomUUID();
+
+    // A missing recording only means the session can't be replayed
+    let recording = null;
+    try {
+        recording = await claimRecording(body.recordingId, userId, id);
+    } catch (error) {
+        console.warn('⚠️ Could not keep recording:', error.message);
+    }
+
+    const session = {
+        id,
+        userId,
+        createdAt: new Date().toISOString(),
+        field: result.field,
+        questions: result.questions,
+        transcript: result.transcript || null,
+        source: result.source || null,
+        transcriptionProvider: result.transcriptionProvider || null,
+        speechMetrics: result.speechMetrics || null,
+        analysis: result.analysis,
+        recording
+    };
+
+    await sessions.insert(session);
+    console.log(`💾 Saved practice session ${session.id} for user ${userId}`);
+    return summarize(session);
+}
+
+// Newest first; stats cover every session, not just the page
+export async function listSessions(userId, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const size = Math.max(1, Math.min(MAX_PAGE_SIZE, Number(pageSize) || DEFAULT_PAGE_SIZE));
+    const all = (await sessions.filter(s => s.userId === userId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const totalPages = Math.max(1, Math.ceil(all.length / size));
+    const current = Math.max(1, Math.min(totalPages, Number(page) || 1));
+    const rated = all.filter(s => typeof s.analysis.rating === 'number');
+
+    return {
+        sessions: all.slice((current - 1) * size, current * size).map(summarize),
+        page: current,
+        pageSize: size,
+        total: all.length,
+        totalPages,
+        stats: {
+            count: all.length,
+            averageRating: rated.length
+                ? Math.round((rated.reduce((sum, s) => sum + s.analysis.rating, 0) / rated.length) * 10) / 10
+                : null
+        }
+    };
+}
+
+// Every session with its full analysis, oldest first - for the progress analytics
+export async function userSessions(userId) {
+    return (await sessions.filter(s => s.userId === userId))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function getSession(userId, id) {
+    const session = await sessions.find(s => s.id === id && s.userId === userId);
+    if (!session) {
+        throw historyError('SESSION_NOT_FOUND', 'Practice session not found', 404);
+    }
+    const { userId: _, recording, ...rest } = session;
+    return { ...rest, recording: recording ? { mimetype: recording.mimetype, size: recording.size } : null };
+}
+
+// Resolves { path, mimetype } of the saved recording for streaming
+export async function getSessionRecording(userId, id) {
+    const session = await sessions.find(s => s.id === id && s.userId === userId);
+    if (!session || !session.recording) {
+        throw historyError('RECORDING_NOT_FOUND', 'No recording was saved for this session', 404);
+    }
+    return { path: recordingPath(session.recording), mimetype: session.recording.mimetype };
+}
+
+export async function deleteSession(userId, id) {
+    const session = await sessions.find(s => s.id === id && s.userId === userId);
+    const removed = session ? await sessions.remove(s => s.id === id) : 0;
+    if (!removed) {
+        throw historyError('SESSION_NOT_FOUND', 'Practice session not found', 404);
+    }
+    await deleteRecording(session.recording);
+}
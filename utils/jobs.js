@@ -0,0 +1,110 @@
+/**
+ * In-memory analysis job queue. Jobs run one at a time by default
+ * (ANALYSIS_CONCURRENCY) since Whisper saturates a CPU, report progress
+ * through named stages and are kept for an hour after they finish so a
+ * reloaded page can pick up the result.
+ */
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+export const STAGES = ['upload', 'audio-extraction', 'transcription', 'analysis'];
+
+const CONCURRENCY = Math.max(1, Number(process.env.ANALYSIS_CONCURRENCY) || 1);
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let running = 0;
+
+// Public view of a job - the task function and owner stay private
+function snapshot(job) {
+    const stageIndex = STAGES.indexOf(job.stage);
+    return {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        detail: job.detail,
+        stages: STAGES.map((name, i) => ({
+            name,
+            status: job.status === 'completed' || i < stageIndex ? 'done' : i === stageIndex ? 'active' : 'pending'
+        })),
+        progress: job.status === 'completed' ? 100 : Math.round((stageIndex / STAGES.length) * 100),
+        queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : 0,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        result: job.result,
+        error: job.error
+    };
+}
+
+function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, snapshot(job));
+}
+
+function runNext() {
+    while (running < CONCURRENCY && queue.length > 0) {
+        const job = queue.shift();
+        running++;
+
+        // Everyone still waiting moved up one place
+        for (const waiting of queue) events.emit(waiting.id, snapshot(waiting));
+
+        update(job, { status: 'running' });
+        job.task((stage, detail = null) => {
+            if (STAGES.includes(stage)) update(job, { stage, detail });
+        })
+            .then((result) => update(job, { status: 'completed', result, detail: null }))
+            .catch((error) => {
+                console.error(`❌ Job ${job.id} failed:`, error);
+                update(job, { status: 'failed', error: { code: error.code || 'ANALYSIS_FAILED', message: error.message } });
+            })
+            .finally(() => {
+                running--;
+                setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+                runNext();
+            });
+    }
+}
+
+// task(onStage) must resolve with the job result; the upload stage is already done when a job is created
+export function createJob(task, { ownerId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        stage: 'audio-extraction',
+        detail: null,
+        createdAt: now,
+        updatedAt: now,
+        result: null,
+        error: null,
+        ownerId,
+        task
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    console.log(`📥 Queued analysis job ${job.id} (${queue.length} waiting, ${running} running)`);
+    setImmediate(runNext);
+    return snapshot(job);
+}
+
+// Jobs belonging to someone else look exactly like missing ones
+export function getJob(id, ownerId = null) {
+    const job = jobs.get(id);
+    return job && job.ownerId === ownerId ? snapshot(job) : null;
+}
+
+// Calls listener with every update until the job finishes; returns an unsubscribe function
+export function subscribeToJob(id, listener) {
+    const handler = (state) => listener(state);
+    events.on(id, handler);
+    return () => events.off(id, handler);
+}
+
+export function isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+}
@@ -0,0 +1,35 @@
+/**
+ * Cohere chat API (v1). JSON replies are constrained to the caller's schema
+ * with `response_format`. COHERE_BASE_URL points it at another host, such
+ * as the local mock server.
+ */
+import { postJson } from './request.js';
+
+export const name = 'cohere';
+
+export function model() {
+    return process.env.COHERE_MODEL || 'command-r-08-2024';
+}
+
+export async function complete({ prompt, system, temperature, maxTokens, schema, signal }) {
+    const baseUrl = (process.env.COHERE_BASE_URL || 'https://api.cohere.com').replace(/\/+$/, '');
+    const reply = await postJson(`${baseUrl}/v1/chat`, {
+        model: model(),
+        message: prompt,
+        ...(system ? { preamble: system } : {}),
+        temperature,
+        max_tokens: maxTokens,
+        stream: false,
+        ...(schema ? { response_format: { type: 'json_object', schema } } : {})
+    }, {
+        headers: { 'Authorization': `Bearer ${process.env.COHERE_API_KEY || ''}` },
+        signal
+    });
+
+    const billed = reply.meta?.billed_units || reply.meta?.tokens || {};
+    return {
+        text: String(reply.text || '').trim(),
+        model: model(),
+        usage: { inputTokens: billed.input_tokens ?? null, outputTokens: billed.output_tokens ?? null }
+    };
+}
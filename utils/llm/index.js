@@ -0,0 +1,141 @@
+/**
+ * LLM client. Every provider exposes `name`, `model()` and
+ * `complete({ prompt, system, temperature, maxTokens, schema, signal })`
+ * resolving to `{ text, model, usage: { inputTokens, outputTokens } }`.
+ * This module adds what every caller needs on top: a per-attempt timeout,
+ * retries with exponential backoff for transient failures, JSON parsing and
+ * token-usage logging.
+ *
+ * LLM_PROVIDER selects one of: cohere, openai (any OpenAI-compatible
+ * endpoint - llama.cpp, Ollama, vLLM...), mock. When unset, Cohere is used
+ * if COHERE_API_KEY is present, the OpenAI-compatible adapter if
+ * LLM_BASE_URL is, and otherwise no LLM at all - callers fall back to
+ * their heuristics.
+ */
+import * as cohere from './cohere.js';
+import * as openai from './openai.js';
+import * as mock from './mock.js';
+import { llmError } from './request.js';
+
+const providers = { cohere, openai, mock };
+
+const TIMEOUT_MS = Math.max(1000, Number(process.env.LLM_TIMEOUT_MS) || 20000);
+const DEFAULT_RETRIES = 2;
+const RETRY_LIMIT = 5;
+const BACKOFF_MS = 500;
+
+// Whole numbers 0-RETRY_LIMIT; anything else (e.g. "abc", which would make every retryable failure loop) uses the default
+export function parseRetries(raw) {
+    if (raw === undefined || raw.trim() === '') return DEFAULT_RETRIES;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        console.warn(`⚠️ Ignoring LLM_MAX_RETRIES="${raw}" - expected a whole number, using ${DEFAULT_RETRIES}`);
+        return DEFAULT_RETRIES;
+    }
+    return Math.min(RETRY_LIMIT, value);
+}
+
+const MAX_RETRIES = parseRetries(process.env.LLM_MAX_RETRIES);
+
+// Running totals since startup, reported by /api/debug
+const usage = { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+
+function selectedName() {
+    const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+    if (configured) return configured;
+    if (process.env.COHERE_API_KEY && process.env.COHERE_API_KEY.trim()) return 'cohere';
+    if (process.env.LLM_BASE_URL && process.env.LLM_BASE_URL.trim()) return 'openai';
+    return null;
+}
+
+// null when no LLM is configured; throws on an unknown LLM_PROVIDER
+export function getLlmProvider(providerName = selectedName()) {
+    if (!providerName || providerName === 'none') return null;
+    const provider = providers[providerName];
+    if (!provider) {
+        throw llmError('UNKNOWN_LLM_PROVIDER', `Unknown LLM provider "${providerName}" - set LLM_PROVIDER to one of: ${Object.keys(providers).join(', ')}, none`);
+    }
+    return provider;
+}
+
+export function llmEnabled() {
+    return getLlmProvider() !== null;
+}
+
+export function llmStatus() {
+    const provider = getLlmProvider();
+    return {
+        provider: provider ? provider.name : null,
+        model: provider ? provider.model() : null,
+        usage: { ...usage }
+    };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolves { text, provider, model, usage, attempts }. label names the call in the logs.
+ * schema asks the provider for JSON matching that JSON Schema (its `title` names the task).
+ */
+export async function complete({ prompt, system = null, temperature = 0.3, maxTokens = 800, schema = null, label = 'llm' }) {
+    const provider = getLlmProvider();
+    if (!provider) throw llmError('LLM_DISABLED', 'No LLM provider is configured');
+
+    let attempt = 0;
+    for (;;) {
+        attempt++;
+        const started = Date.now();
+        try {
+            const result = await provider.complete({
+                prompt,
+                system,
+                temperature,
+                maxTokens,
+                schema,
+                signal: AbortSignal.timeout(TIMEOUT_MS)
+            });
+
+            usage.requests++;
+            usage.inputTokens += result.usage.inputTokens || 0;
+            usage.outputTokens += result.usage.outputTokens || 0;
+            console.log(`🧮 ${label} via ${provider.name}/${result.model}: ${result.usage.inputTokens ?? '?'} in + ${result.usage.outputTokens ?? '?'} out tokens, ${Date.now() - started}ms (attempt ${attempt})`);
+            return { ...result, provider: provider.name, attempts: attempt };
+        } catch (error) {
+            // request.js marks timeouts, unreachable hosts, rate limits and server errors retryable
+            const retryable = Boolean(error.retryable);
+            console.warn(`⚠️ ${label} via ${provider.name} failed (attempt ${attempt}/${MAX_RETRIES + 1}):`, error.message);
+            if (!retryable || attempt > MAX_RETRIES) {
+                usage.failures++;
+                throw llmError(error.code || 'LLM_REQUEST_FAILED', `${provider.name}: ${error.message}`, { status: error.status, attempts: attempt });
+            }
+            // 0.5s, 1s, 2s... plus jitter so parallel callers don't retry in lockstep
+            await sleep(BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * 250);
+        }
+    }
+}
+
+// Models sometimes wrap JSON in prose or code fences; take the outermost object or array
+export function parseJsonReply(text) {
+    const trimmed = String(text || '').trim();
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        const start = trimmed.search(/[[{]/);
+        const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(trimmed.slice(start, end + 1));
+            } catch {
+                // fall through
+            }
+        }
+    }
+    // Not retried here - callers that can use a second try (question generation) ask again on LLM_MALFORMED
+    throw llmError('LLM_MALFORMED', `Reply is not JSON: ${trimmed.slice(0, 120)}`);
+}
+
+// complete() for a JSON reply; resolves { json, ...complete() result }
+export async function completeJson(options) {
+    const result = await complete(options);
+    return { ...result, json: parseJsonReply(result.text) };
+}
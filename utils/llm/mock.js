@@ -0,0 +1,192 @@
+/**
+ * Deterministic stand-in for a real model, for offline development and
+ * tests: the same prompt always gets the same reply, and no network is
+ * used. JSON requests are answered by the responder registered for the
+ * schema's `title`; any other schema gets a minimal valid instance.
+ * mock-llm-server.js serves the same replies over HTTP.
+ */
+
+export const name = 'mock';
+
+export function model() {
+    return 'mock-1';
+}
+
+// Rough token count, close enough for usage logging
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+function hash(text) {
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// Stable order that still differs between prompts
+const shuffled = (items, seed) => items
+    .map((item, i) => ({ item, key: hash(`${seed}:${i}`) }))
+    .sort((a, b) => a.key - b.key)
+    .map(({ item }) => item);
+
+const QUESTION_TEMPLATES = {
+    behavioral: [
+        'Tell me about a time a {field} project you owned went off track. How did you recover it?',
+        'Describe a disagreement with a teammate about a {field} decision. How did you resolve it?',
+        'Tell me about the piece of {field} work you are proudest of and the impact it had?',
+        'Describe a time you had to learn a new {field} skill quickly to deliver on a deadline?',
+        'Tell me about feedback on your {field} work that was hard to hear. What did you change?'
+    ],
+    technical: [
+        'Walk me through how you would design a reliable {field} solution from requirements to production?',
+        'What trade-offs do you weigh when choosing tools and techniques for a {field} problem?',
+        'How do you verify that your {field} work is correct before anyone else depends on it?',
+        'Explain a core {field} concept you use every week to someone outside the field?',
+        'How would you find the root cause of a problem that only appears intermittently in {field} work?'
+    ],
+    situational: [
+        'A stakeholder asks for a {field} change the day before a release. What would you do?',
+        'You inherit a {field} project with no documentation and a looming deadline. How would you start?',
+        'Two senior colleagues give you conflicting {field} advice. How would you decide which to follow?',
+        'Your {field} estimate turns out to be half of what the work really needs. How do you handle it?',
+        'A junior colleague keeps making the same {field} mistake. How would you help them?'
+    ]
+};
+
+function interviewQuestions(prompt) {
+    const count = Number((prompt.match(/Generate exactly (\d+)/) || [])[1]) || 5;
+    const field = ((prompt.match(/interview questions for (.+?) positions/) || [])[1] || 'this role').trim();
+    const avoid = new Set(((prompt.split('Do not repeat any of these questions:')[1] || '').match(/^- .+$/gm) || [])
+        .map(line => line.slice(2).trim()));
+
+    // "- Question mix: exactly 2 behavioral, 3 technical"
+    const mixLine = (prompt.match(/Question mix: exactly (.+)/) || [])[1] || '';
+    const wanted = [...mixLine.matchAll(/(\d+) (behavioral|technical|situational)/g)]
+        .flatMap(([, n, category]) => Array(Number(n)).fill(category));
+    const categories = wanted.length > 0 ? wanted : Array.from({ length: count }, (_, i) => ['behavioral', 'technical', 'situational'][i % 3]);
+
+    const pools = Object.fromEntries(Object.entries(QUESTION_TEMPLATES).map(([category, templates]) => [
+        category,
+        shuffled(templates, prompt).map(t => t.replace(/\{field\}/g, field)).filter(text => !avoid.has(text))
+    ]));
+    // "- Difficulty: easy or medium", "- Pitch every question at a senior or lead-level candidate"
+    const difficulties = ((prompt.match(/- Difficulty: (.+)/) || [])[1] || 'easy or medium or hard').split(' or ');
+    const seniority = ((prompt.match(/at an? (.+?)-level candidate/) || [])[1] || 'mid').split(' or ')[0];
+
+    return {
+        questions: categories.slice(0, count)
+            .map((category, i) => ({
+                text: pools[category].shift(),
+                category,
+                difficulty: difficulties[hash(`${prompt}:${i}`) % difficulties.length],
+                seniority
+            }))
+            .filter(q => q.text)
+    };
+}
+
+const contentWords = (text) => new Set(String(text).toLowerCase().match(/[a-z]{4,}/g) || []);
+
+function answerRelevance(prompt) {
+    const items = [...prompt.matchAll(/Item (\d+)\nQuestion: (.*)\nAnswer: ([\s\S]*?)(?=\n\nItem \d+\n|\n\nReply|$)/g)];
+    return {
+        items: items.map(([, index, question, answer]) => {
+            const asked = contentWords(question);
+            const said = contentWords(answer);
+            const shared = [...asked].filter(word => said.has(word)).length;
+            const score = Math.min(100, Math.round((shared / Math.max(1, asked.size)) * 150));
+            const evasive = /\b(i don'?t know|not sure|no idea)\b/i.test(answer);
+            return {
+                index: Number(index),
+                score: evasive ? Math.min(score, 10) : score,
+                verdict: evasive ? 'evasive' : score >= 60 ? 'on-topic' : score >= 30 ? 'partial' : 'off-topic',
+                reason: `Mock judgment: ${shared} of the question's key words appear in the answer`
+            };
+        })
+    };
+}
+
+// Cites real segments from the "[n] m:ss-m:ss text" lines, as the prompt requires
+function transcriptReview(prompt) {
+    const segments = [...prompt.matchAll(/^\[(\d+)\] (\d+:\d{2})-\d+:\d{2} (.+)$/gm)]
+        .map(([, index, start, text]) => ({ segment: Number(index), timestamp: start, text }));
+    const cite = (segment, text) => ({
+        segment: segment.segment,
+        timestamp: segment.timestamp,
+        quote: segment.text.split(/\s+/).slice(0, 6).join(' '),
+        text
+    });
+
+    const strengths = segments
+        .filter(s => /\d|\b(led|built|improved|reduced|delivered|designed)\b/i.test(s.text))
+        .slice(0, 2)
+        .map(s => cite(s, 'Concrete, first-person detail - this is the kind of evidence interviewers remember'));
+    const hedged = segments.filter(s => /\b(um|uh|like|i think|maybe|kind of|sort of|i guess)\b/i.test(s.text));
+    const mistakes = (hedged.length ? hedged : [...segments].sort((a, b) => a.text.length - b.text.length).slice(0, 1))
+        .slice(0, 2)
+        .map(s => cite(s, hedged.length
+            ? 'Hedging here undercuts the point - state it plainly'
+            : 'This point is thin - back it with a specific example'));
+
+    return {
+        summary: `Mock review of ${segments.length} transcript segments: ${strengths.length} grounded strengths and ${mistakes.length} points to work on.`,
+        strengths,
+        mistakes,
+        tips: ['Lead each answer with the outcome, then explain how you got there']
+    };
+}
+
+function followupQuestions(prompt) {
+    const count = Number((prompt.match(/Ask (\d+) short follow-up/) || [])[1]) || 1;
+    const answer = (prompt.match(/^Answer: (.*)$/m) || [])[1] || '';
+    // The longest word stands in for "something the candidate actually said"
+    const topic = (answer.match(/[A-Za-z][A-Za-z+#-]{5,}/g) || ['that'])
+        .reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+    const templates = [
+        `You mentioned ${topic} - what was the hardest part of that, and how did you handle it?`,
+        `What measurable result came out of your work on ${topic}?`,
+        `If you had to do the ${topic} work again, what would you change?`
+    ];
+    return {
+        questions: shuffled(templates, prompt).slice(0, count).map(text => ({ text, reason: 'Mock probe of the answer' }))
+    };
+}
+
+// Keyed by the JSON Schema `title` each caller sends
+const responders = {
+    interview_questions: interviewQuestions,
+    answer_relevance: answerRelevance,
+    transcript_review: transcriptReview,
+    followup_questions: followupQuestions
+};
+
+// Smallest value that satisfies the schema, for schemas without a responder
+function instanceOf(schema = {}) {
+    if (Array.isArray(schema.enum)) return schema.enum[0];
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries((schema.required || Object.keys(schema.properties || {}))
+                .map(key => [key, instanceOf((schema.properties || {})[key])]));
+        case 'array': return [];
+        case 'number':
+        case 'integer': return 0;
+        case 'boolean': return false;
+        default: return 'mock';
+    }
+}
+
+export function mockReply({ prompt, schema = null }) {
+    if (!schema) return `Mock reply to a ${prompt.split(/\s+/).length}-word prompt.`;
+    const responder = responders[schema.title];
+    return JSON.stringify(responder ? responder(prompt) : instanceOf(schema));
+}
+
+export async function complete({ prompt, system, schema }) {
+    const text = mockReply({ prompt, schema });
+    return {
+        text,
+        model: model(),
+        usage: { inputTokens: estimateTokens(`${system || ''}${prompt}`), outputTokens: estimateTokens(text) }
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a
+ * local model served by llama.cpp (`llama-server`), Ollama
+ * (http://localhost:11434/v1) or vLLM. LLM_BASE_URL is the base including
+ * `/v1`; LLM_API_KEY is only sent when set.
+ */
+import { postJson } from './request.js';
+
+export const name = 'openai';
+
+export function model() {
+    return process.env.LLM_MODEL || 'llama3.1';
+}
+
+export async function complete({ prompt, system, temperature, maxTokens, schema, signal }) {
+    const baseUrl = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    const messages = [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt }
+    ];
+
+    const reply = await postJson(`${baseUrl}/chat/completions`, {
+        model: model(),
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: false,
+        ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: schema.title || 'response', schema } } } : {})
+    }, {
+        headers: process.env.LLM_API_KEY ? { 'Authorization': `Bearer ${process.env.LLM_API_KEY}` } : {},
+        signal
+    });
+
+    return {
+        text: String(reply.choices?.[0]?.message?.content || '').trim(),
+        model: reply.model || model(),
+        usage: { inputTokens: reply.usage?.prompt_tokens ?? null, outputTokens: reply.usage?.completion_tokens ?? null }
+    };
+}
@@ -0,0 +1,46 @@
+/**
+ * HTTP plumbing shared by the LLM adapters. Errors carry `code`, the HTTP
+ * `status` when there was one, and `retryable` for the client's retry loop.
+ */
+
+export function llmError(code, message, { status, retryable = false, attempts } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    if (status) error.status = status;
+    error.retryable = retryable;
+    if (attempts) error.attempts = attempts;
+    return error;
+}
+
+// POSTs JSON and resolves the parsed JSON reply
+export async function postJson(url, body, { headers = {}, signal } = {}) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            throw llmError('LLM_TIMEOUT', `No reply from ${url} in time`, { retryable: true });
+        }
+        throw llmError('LLM_UNREACHABLE', `Could not reach ${url}: ${error.cause?.code || error.message}`, { retryable: true });
+    }
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        // Bad keys and bad requests won't fix themselves; rate limits and outages might
+        throw llmError('LLM_HTTP_ERROR', `${url} returned ${response.status}: ${detail.slice(0, 200)}`, {
+            status: response.status,
+            retryable: response.status === 429 || response.status >= 500
+        });
+    }
+
+    try {
+        return await response.json();
+    } catch {
+        throw llmError('LLM_MALFORMED', `${url} did not return JSON`, { retryable: true });
+    }
+}
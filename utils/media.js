@@ -0,0 +1,177 @@
+/**
+ * ffmpeg/ffprobe helpers for turning uploaded interview videos into audio that
+ * the transcription and audio-signal analysis steps can consume, and for
+ * reading their real container metadata.
+ */
+import { spawn } from 'child_process';
+
+const FFMPEG_BIN = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_BIN = process.env.FFPROBE_PATH || 'ffprobe';
+
+function mediaError(code, message, hint) {
+    const error = new Error(message);
+    error.code = code;
+    if (hint) error.hint = hint;
+    return error;
+}
+
+// Spawns ffmpeg/ffprobe and resolves with the exit code, raw stdout and stderr text
+function spawnTool(bin, name, envVar, args) {
+    return new Promise((resolve, reject) => {
+        const stdout = [];
+        let stderr = '';
+
+        const proc = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        proc.stdout.on('data', (chunk) => {
+            stdout.push(chunk);
+        });
+
+        proc.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+
+        proc.on('error', (error) => {
+            const code = name.toUpperCase();
+            if (error.code === 'ENOENT') {
+                reject(mediaError(
+                    `${code}_NOT_FOUND`,
+                    `${name} executable not found (${bin})`,
+                    `Install ffmpeg${name === 'ffmpeg' ? '' : ` (it includes ${name})`} and make sure it is on PATH, or set ${envVar}`
+                ));
+            } else {
+                reject(mediaError(`${code}_FAILED`, `Failed to start ${name}: ${error.message}`));
+            }
+        });
+
+        proc.on('close', (code) => {
+            resolve({ code, stdout: Buffer.concat(stdout), stderr });
+        });
+    });
+}
+
+async function runFfmpeg(args) {
+    const { code, stdout, stderr } = await spawnTool(FFMPEG_BIN, 'ffmpeg', 'FFMPEG_PATH', ['-hide_banner', '-nostats', ...args]);
+    if (code === 0) return { stdout, stderr };
+
+    if (/does not contain any stream|Output file #0 does not contain|matches no streams/i.test(stderr)) {
+        throw mediaError('NO_AUDIO_STREAM', 'The uploaded video has no audio track', 'Check that your microphone was enabled while recording');
+    }
+    const lastLine = stderr.trim().split('\n').pop() || 'unknown error';
+    throw mediaError('FFMPEG_FAILED', `ffmpeg exited with code ${code}: ${lastLine}`);
+}
+
+async function runFfprobe(args) {
+    const { code, stdout, stderr } = await spawnTool(FFPROBE_BIN, 'ffprobe', 'FFPROBE_PATH', ['-v', 'error', ...args]);
+    if (code !== 0) {
+        const lastLine = stderr.trim().split('\n').pop() || 'unknown error';
+        throw mediaError('FFPROBE_FAILED', `ffprobe could not read the file: ${lastLine}`, 'The upload may be corrupt or in an unsupported format');
+    }
+    return stdout.toString();
+}
+
+// Extract a 16kHz mono WAV track - the format Whisper resamples to anyway
+export async function extractAudio(videoPath, audioPath) {
+    await runFfmpeg(['-y', '-i', videoPath, '-vn', '-ac', '1', '-ar', '16000', '-f', 'wav', audioPath]);
+    return audioPath;
+}
+
+// Decode the audio track to mono 16-bit PCM samples
+export async function decodePcm(mediaPath, sampleRate = 8000) {
+    const { stdout } = await runFfmpeg(['-i', mediaPath, '-vn', '-ac', '1', '-ar', String(sampleRate), '-f', 's16le', '-']);
+    // Copy into a fresh buffer: pooled Buffers are not guaranteed to be 2-byte aligned
+    const samples = new Int16Array(Math.floor(stdout.length / 2));
+    new Uint8Array(samples.buffer).set(stdout.subarray(0, samples.length * 2));
+    return samples;
+}
+
+// Reads the frame log and summary the ebur128 filter writes to stderr
+export function parseLoudnessLog(stderr) {
+    const lufs = (value) => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : -120;
+    };
+
+    const frames = [];
+    const framePattern = /t:\s*([\d.]+)\s+TARGET:.*?M:\s*(-?[\d.]+|-inf)\s+S:\s*(-?[\d.]+|-inf)/g;
+    let match;
+    while ((match = framePattern.exec(stderr)) !== null) {
+        frames.push({
+            time: parseFloat(match[1]),
+            momentary: lufs(match[2]),
+            shortTerm: lufs(match[3])
+        });
+    }
+
+    const summary = stderr.slice(stderr.lastIndexOf('Summary:'));
+    const integrated = summary.match(/I:\s*(-?[\d.]+)\s*LUFS/);
+    const range = summary.match(/LRA:\s*([\d.]+)\s*LU/);
+
+    return {
+        integrated: integrated ? parseFloat(integrated[1]) : null,
+        range: range ? parseFloat(range[1]) : null,
+        frames
+    };
+}
+
+// EBU R128 loudness: per-100ms momentary/short-term values plus integrated loudness and range
+export async function measureLoudness(mediaPath) {
+    const { stderr } = await runFfmpeg(['-i', mediaPath, '-vn', '-af', 'ebur128=framelog=info', '-f', 'null', '-']);
+    return parseLoudnessLog(stderr);
+}
+
+function parseRate(rate) {
+    const [num, den] = String(rate || '').split('/').map(Number);
+    if (!num) return null;
+    return Math.round((den ? num / den : num) * 100) / 100;
+}
+
+// Browser MediaRecorder webm files carry no duration header; fall back to the last packet's end time
+async function durationFromPackets(mediaPath) {
+    const output = await runFfprobe(['-show_entries', 'packet=pts_time,duration_time', '-of', 'csv=p=0', mediaPath]);
+    let end = 0;
+    for (const line of output.split('\n')) {
+        const [pts, duration] = line.split(',').map(parseFloat);
+        if (Number.isFinite(pts)) end = Math.max(end, pts + (Number.isFinite(duration) ? duration : 0));
+    }
+    return end > 0 ? end : null;
+}
+
+// Real duration, resolution, frame rate and codecs of an upload
+export async function probeMedia(mediaPath) {
+    const output = await runFfprobe(['-print_format', 'json', '-show_format', '-show_streams', mediaPath]);
+
+    let info;
+    try {
+        info = JSON.parse(output);
+    } catch {
+        throw mediaError('FFPROBE_FAILED', 'ffprobe returned unreadable metadata');
+    }
+
+    const streams = info.streams || [];
+    const video = streams.find(s => s.codec_type === 'video');
+    const audio = streams.find(s => s.codec_type === 'audio');
+
+    let duration = parseFloat(info.format?.duration);
+    if (!Number.isFinite(duration)) {
+        duration = streams.map(s => parseFloat(s.duration)).find(Number.isFinite) ?? await durationFromPackets(mediaPath);
+    }
+
+    return {
+        duration: duration === null ? null : Math.round(duration * 10) / 10,
+        container: info.format?.format_name || null,
+        sizeBytes: Number(info.format?.size) || null,
+        bitRate: Number(info.format?.bit_rate) || null,
+        video: video ? {
+            codec: video.codec_name,
+            width: video.width,
+            height: video.height,
+            fps: parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate)
+        } : null,
+        audio: audio ? {
+            codec: audio.codec_name,
+            sampleRate: Number(audio.sample_rate) || null,
+            channels: audio.channels || null
+        } : null
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * The full recording analysis: transcription, audio-signal metrics and
+ * transcript analysis, or the unscored media report when no transcript can
+ * be produced. Resolves with the JSON body returned to the client.
+ *
+ * `onStage(stage, detail)` reports progress: 'audio-extraction',
+ * 'transcription' and 'analysis'.
+ */
+import { transcribeVideo, describeTranscriptionError } from './transcription/index.js';
+import { analyzeInterview } from './analysis/index.js';
+import { analyzeAudioSignal } from './analysis/audio.js';
+import { analyzeWithoutTranscript } from './analysis/fallback.js';
+import { probeMedia } from './media.js';
+
+export async function analyzeRecording(videoPath, field, analysisOptions, { onStage = () => {} } = {}) {
+    let transcription = null;
+    let transcriptionError = null;
+
+    try {
+        transcription = await transcribeVideo(videoPath, undefined, { onStage });
+        console.log('✅ Transcription complete:', transcription.text.substring(0, 100) + '...');
+    } catch (error) {
+        transcriptionError = describeTranscriptionError(error);
+        console.warn('❌ Transcription failed:', transcriptionError);
+    }
+
+    onStage('analysis', transcription ? 'Analyzing your answers' : 'Reading recording details');
+
+    if (!transcription) {
+        // Without a transcript there is nothing to score - report what the file itself contains
+        let media = null;
+        try {
+            media = await probeMedia(videoPath);
+        } catch (error) {
+            console.warn('⚠️ Media probe failed:', error.message);
+        }
+
+        return {
+            analysis: analyzeWithoutTranscript(field, media, transcriptionError),
+            success: true,
+            processed: true,
+            actualVideoProcessed: false,
+            source: 'NO-TRANSCRIPT',
+            transcriptionError
+        };
+    }
+
+    // Loudness/pitch analysis is a bonus - a missing ffmpeg should not block the report
+    let audioSignal;
+    try {
+        audioSignal = await analyzeAudioSignal(videoPath);
+    } catch (error) {
+        console.warn('⚠️ Audio signal analysis skipped:', error.message);
+        audioSignal = { available: false, reason: error.message };
+    }
+
+    const analysis = await analyzeInterview(transcription, field, { ...analysisOptions, audioSignal });
+
+    return {
+        analysis,
+        success: true,
+        processed: true,
+        actualVideoProcessed: true,
+        source: 'REAL-SPEECH-TRANSCRIPTION',
+        transcriptionProvider: transcription.provider,
+        transcriptionPreview: transcription.text.substring(0, 150) + '...',
+        transcript: {
+            text: transcription.text,
+            duration: transcription.duration,
+            segments: transcription.segments
+        },
+        speechMetrics: {
+            wordCount: transcription.text.split(' ').length,
+            duration: transcription.duration || 'estimated',
+            confidence: transcription.confidence || 'N/A'
+        }
+    };
+}
@@ -0,0 +1,231 @@
+/**
+ * Curated question bank: one JSON file per role in questions/, every
+ * question tagged with a category, difficulty and the seniority levels it
+ * suits. The bank is validated when first loaded - server.js does that at
+ * startup so a bad edit stops the server instead of serving broken questions.
+ * questions/general.json holds "{field}" templates for fields no role matches.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeForMatching } from './analysis/lexicon.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BANK_DIR = process.env.QUESTION_BANK_DIR || path.join(__dirname, '..', 'questions');
+const GENERAL_ROLE = 'general';
+
+export const CATEGORIES = ['behavioral', 'technical', 'situational'];
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const SENIORITIES = ['intern', 'junior', 'mid', 'senior', 'lead'];
+
+let bank = null;
+
+function bankError(code, message, status) {
+    const error = new Error(message);
+    error.code = code;
+    if (status) error.status = status;
+    return error;
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function validateQuestion(question, where, problems) {
+    if (!question || typeof question !== 'object') {
+        problems.push(`${where}: must be an object`);
+        return;
+    }
+    if (!isNonEmptyString(question.id)) problems.push(`${where}: missing id`);
+    if (!isNonEmptyString(question.text)) problems.push(`${where}: missing text`);
+    if (isNonEmptyString(question.text) && /\{(?!field\})[^}]*\}/.test(question.text)) {
+        problems.push(`${where}: only the {field} placeholder is supported`);
+    }
+    if (!CATEGORIES.includes(question.category)) {
+        problems.push(`${where}: category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    if (!DIFFICULTIES.includes(question.difficulty)) {
+        problems.push(`${where}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (!Array.isArray(question.seniority) || question.seniority.length === 0
+        || !question.seniority.every(level => SENIORITIES.includes(level))) {
+        problems.push(`${where}: seniority must be a non-empty list of ${SENIORITIES.join(', ')}`);
+    }
+    if (question.tags !== undefined && (!Array.isArray(question.tags) || !question.tags.every(isNonEmptyString))) {
+        problems.push(`${where}: tags must be a list of strings`);
+    }
+}
+
+function validateRole(data, file, seenIds, problems) {
+    if (!data || typeof data !== 'object') {
+        problems.push(`${file}: must contain a JSON object`);
+        return;
+    }
+    if (!isNonEmptyString(data.role)) problems.push(`${file}: missing role`);
+    if (!Number.isInteger(data.version) || data.version < 1) problems.push(`${file}: version must be a positive integer`);
+    if (!Array.isArray(data.keywords) || !data.keywords.every(isNonEmptyString)) {
+        problems.push(`${file}: keywords must be a list of strings`);
+    }
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+        problems.push(`${file}: questions must be a non-empty list`);
+        return;
+    }
+
+    data.questions.forEach((question, i) => {
+        const where = `${file} question ${i + 1}${question && question.id ? ` (${question.id})` : ''}`;
+        validateQuestion(question, where, problems);
+        if (question && isNonEmptyString(question.id)) {
+            if (seenIds.has(question.id)) problems.push(`${where}: duplicate id, also used in ${seenIds.get(question.id)}`);
+            seenIds.set(question.id, file);
+        }
+    });
+}
+
+// Reads and validates every role file once; throws INVALID_QUESTION_BANK listing every problem found
+export function loadQuestionBank() {
+    if (bank) return bank;
+
+    let files;
+    try {
+        files = fs.readdirSync(BANK_DIR).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        throw bankError('INVALID_QUESTION_BANK', `Could not read question bank directory ${BANK_DIR}: ${error.message}`);
+    }
+
+    const problems = [];
+    const seenIds = new Map();
+    const roles = [];
+    for (const file of files) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(BANK_DIR, file), 'utf8'));
+        } catch (error) {
+            problems.push(`${file}: ${error.message}`);
+            continue;
+        }
+        validateRole(data, file, seenIds, problems);
+        roles.push({
+            role: data.role,
+            title: data.title || data.role,
+            version: data.version,
+            priority: Number(data.priority) || 0,
+            keywords: (data.keywords || []).map(k => normalizeForMatching(k).trim()),
+            questions: (data.questions || []).map(q => ({ ...q, tags: q.tags || [] }))
+        });
+    }
+    if (!roles.some(r => r.role === GENERAL_ROLE)) {
+        problems.push(`${GENERAL_ROLE}.json: a "${GENERAL_ROLE}" role is required for fields no other role matches`);
+    }
+
+    if (problems.length > 0) {
+        const error = bankError('INVALID_QUESTION_BANK', `Question bank in ${BANK_DIR} is invalid:\n  - ${problems.join('\n  - ')}`);
+        error.problems = problems;
+        throw error;
+    }
+
+    // Most specific roles are matched first (e.g. "java intern" is an intern role)
+    roles.sort((a, b) => b.priority - a.priority);
+    bank = {
+        roles,
+        version: roles.map(r => `${r.role}@${r.version}`).join(',')
+    };
+    console.log(`📚 Loaded question bank: ${roles.reduce((sum, r) => sum + r.questions.length, 0)} questions across ${roles.length} roles`);
+    return bank;
+}
+
+// context: pasted job description/resume, used when the field itself matches no role.
+// Whole-word keyword match, so "JavaScript" is not "java" and "internal" is not "intern".
+export function matchRole(field, context = '') {
+    const { roles } = loadQuestionBank();
+    const find = (text) => {
+        const normalized = normalizeForMatching(text);
+        return roles.find(r => r.role !== GENERAL_ROLE && r.keywords.some(keyword => normalized.includes(` ${keyword} `)));
+    };
+    return find(field) || find(context) || roles.find(r => r.role === GENERAL_ROLE);
+}
+
+function filterValues(raw, allowed, name) {
+    if (raw === undefined || raw === null || raw === '') return [];
+    const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim().toLowerCase())
+        .filter(Boolean);
+    const invalid = allowed ? values.filter(value => !allowed.includes(value)) : [];
+    if (invalid.length > 0) {
+        throw bankError('INVALID_FILTER', `Unknown ${name} "${invalid.join('", "')}" - expected ${allowed.join(', ')}`, 400);
+    }
+    return values;
+}
+
+// Each filter may be a single value, a list or a comma-separated string; an empty filter matches everything
+export function parseQuestionFilters({ category, difficulty, seniority, tags } = {}) {
+    return {
+        category: filterValues(category, CATEGORIES, 'category'),
+        difficulty: filterValues(difficulty, DIFFICULTIES, 'difficulty'),
+        seniority: filterValues(seniority, SENIORITIES, 'seniority'),
+        tags: filterValues(tags, null, 'tag')
+    };
+}
+
+function matchesFilters(question, filters) {
+    return (filters.category.length === 0 || filters.category.includes(question.category))
+        && (filters.difficulty.length === 0 || filters.difficulty.includes(question.difficulty))
+        && (filters.seniority.length === 0 || question.seniority.some(level => filters.seniority.includes(level)))
+        && (filters.tags.length === 0 || question.tags.some(tag => filters.tags.includes(tag.toLowerCase())));
+}
+
+const relevance = (question, keywords) => {
+    if (keywords.length === 0) return 0;
+    const text = `${question.text} ${question.tags.join(' ')}`.toLowerCase();
+    return keywords.filter(keyword => text.includes(keyword)).length;
+};
+
+// Filters dropped one at a time, in this order, while the bank has fewer matching questions than requested
+const RELAXATION_ORDER = ['tags', 'seniority', 'difficulty'];
+
+// Role questions first, topped up from the general templates when the filters leave too few.
+// If that is still not enough, the filters are loosened (see RELAXATION_ORDER); strict matches stay first.
+// mixCounts ({ behavioral: 2, technical: 3 }) picks that many of each category where the bank has them;
+// keywords (from a job description or resume) move the most relevant questions to the front.
+export function selectQuestions(field, count, filters = parseQuestionFilters(), { mixCounts = null, keywords = [], context = '' } = {}) {
+    const { roles, version } = loadQuestionBank();
+    const role = matchRole(field, context);
+    const general = roles.find(r => r.role === GENERAL_ROLE);
+
+    const pick = (r, f) => [...r.questions.filter(q => matchesFilters(q, f))]
+        .sort(() => 0.5 - Math.random())
+        .sort((a, b) => relevance(b, keywords) - relevance(a, keywords));
+    const poolFor = (f) => (role === general ? pick(general, f) : [...pick(role, f), ...pick(general, f)]);
+
+    let pool = poolFor(filters);
+    const available = pool.length;
+    const relaxed = [];
+    let loosened = filters;
+    for (const name of RELAXATION_ORDER) {
+        if (pool.length >= count) break;
+        if (loosened[name].length === 0) continue;
+        loosened = { ...loosened, [name]: [] };
+        relaxed.push(name);
+        pool = [...pool, ...poolFor(loosened).filter(q => !pool.includes(q))];
+    }
+
+    let chosen = pool.slice(0, count);
+    if (mixCounts) {
+        const wanted = Object.entries(mixCounts).flatMap(([category, n]) => pool.filter(q => q.category === category).slice(0, n));
+        // Categories the bank runs short on are filled with whatever else matches
+        chosen = [...wanted, ...pool.filter(q => !wanted.includes(q))].slice(0, count);
+        chosen.sort((a, b) => pool.indexOf(a) - pool.indexOf(b));
+    }
+
+    return {
+        role: role.role,
+        version,
+        available,
+        relaxed,
+        questions: chosen.map(q => ({
+            id: q.id,
+            text: q.text.replace(/\{field\}/g, field),
+            category: q.category,
+            difficulty: q.difficulty,
+            seniority: q.seniority,
+            tags: q.tags
+        }))
+    };
+}
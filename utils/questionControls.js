@@ -0,0 +1,139 @@
+/**
+ * Generation controls for /api/questions: seniority and difficulty (shared
+ * with the question bank filters), the desired category mix, and an optional
+ * pasted job description or resume. The same controls shape the Cohere
+ * prompt and the question bank selection.
+ */
+import { CATEGORIES, parseQuestionFilters, selectQuestions } from './questionBank.js';
+
+const MAX_CONTEXT_CHARS = 4000;
+const MAX_KEYWORDS = 20;
+
+const STOPWORDS = new Set(('the and for with you your our are will have has that this from into able about across also any all '
+    + 'can who what when where which while more most must should would could work working team teams role years year '
+    + 'experience experienced strong skills skill ability including include such other using use well new within per '
+    + 'their they them been being was were not but its it\'s etc job company candidate candidates responsibilities '
+    + 'requirements required preferred plus least knowledge understanding hiring looking join').split(' '));
+
+function controlError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 400;
+    return error;
+}
+
+// { behavioral: 40, technical: 60 } or "behavioral:40,technical:60" -> shares that sum to 1, or null
+export function parseMix(raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    let entries;
+    if (typeof raw === 'string') {
+        entries = raw.split(',').filter(Boolean).map(part => part.split(':').map(s => s.trim()));
+    } else if (typeof raw === 'object' && !Array.isArray(raw)) {
+        entries = Object.entries(raw);
+    } else {
+        throw controlError('INVALID_MIX', 'mix must be an object like { "behavioral": 40, "technical": 60 }');
+    }
+
+    const mix = {};
+    for (const [category, value] of entries) {
+        const key = String(category).toLowerCase();
+        const weight = Number(String(value).replace('%', ''));
+        if (!CATEGORIES.includes(key)) {
+            throw controlError('INVALID_MIX', `Unknown question type "${category}" in mix - expected ${CATEGORIES.join(', ')}`);
+        }
+        if (!Number.isFinite(weight) || weight < 0) {
+            throw controlError('INVALID_MIX', `Mix share for ${key} must be a non-negative number`);
+        }
+        mix[key] = (mix[key] || 0) + weight;
+    }
+
+    const total = Object.values(mix).reduce((sum, w) => sum + w, 0);
+    if (total <= 0) throw controlError('INVALID_MIX', 'mix needs at least one positive share');
+    return Object.fromEntries(Object.entries(mix).filter(([, w]) => w > 0).map(([c, w]) => [c, w / total]));
+}
+
+// Whole question counts per category that add up to `count` (largest remainder)
+export function allocateMix(mix, count) {
+    const exact = Object.entries(mix).map(([category, share]) => ({ category, value: share * count }));
+    const counts = Object.fromEntries(exact.map(e => [e.category, Math.floor(e.value)]));
+    let left = count - Object.values(counts).reduce((sum, n) => sum + n, 0);
+    for (const e of [...exact].sort((a, b) => (b.value % 1) - (a.value % 1))) {
+        if (left-- <= 0) break;
+        counts[e.category]++;
+    }
+    return counts;
+}
+
+function contextText(raw) {
+    return typeof raw === 'string' ? raw.trim().slice(0, MAX_CONTEXT_CHARS) : '';
+}
+
+// Most frequent meaningful terms, used to rank bank questions by relevance
+export function extractKeywords(text) {
+    const counts = new Map();
+    for (const word of text.toLowerCase().match(/[a-z][a-z0-9+#]*(?:[.-][a-z0-9+#]+)*/g) || []) {
+        if (word.length < 3 || STOPWORDS.has(word)) continue;
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_KEYWORDS)
+        .map(([word]) => word);
+}
+
+export function parseGenerationControls(body = {}) {
+    const filters = parseQuestionFilters(body);
+    // Asking for categories without shares means an even split between them
+    const mix = parseMix(body.mix) || (filters.category.length > 0
+        ? Object.fromEntries(filters.category.map(c => [c, 1 / filters.category.length]))
+        : null);
+    const jobDescription = contextText(body.jobDescription);
+    const resume = contextText(body.resume);
+
+    return {
+        filters,
+        mix,
+        jobDescription,
+        resume,
+        keywords: extractKeywords(`${jobDescription} ${resume}`)
+    };
+}
+
+// Tags only exist in the bank, so a tag filter can't be honored by the LLM
+export function requiresQuestionBank(controls) {
+    return controls.filters.tags.length > 0;
+}
+
+// Extra requirement lines for the LLM prompt; mixCounts is how many of each type are still wanted
+export function controlsPrompt(controls, mixCounts = null) {
+    const lines = [];
+    const { filters } = controls;
+
+    if (filters.seniority.length > 0) {
+        lines.push(`- Pitch every question at a ${filters.seniority.join(' or ')}-level candidate`);
+    }
+    if (filters.difficulty.length > 0) {
+        lines.push(`- Difficulty: ${filters.difficulty.join(' or ')}`);
+    }
+    if (mixCounts) {
+        const counts = Object.entries(mixCounts).filter(([, n]) => n > 0);
+        lines.push(`- Question mix: exactly ${counts.map(([category, n]) => `${n} ${category}`).join(', ')}`);
+    }
+    if (controls.jobDescription) {
+        lines.push(`- Tailor the questions to the skills and responsibilities in this job description:\n"""\n${controls.jobDescription}\n"""`);
+    }
+    if (controls.resume) {
+        lines.push(`- Ask about the specific projects and experience in this resume:\n"""\n${controls.resume}\n"""`);
+    }
+    return lines.join('\n');
+}
+
+// The bank fallback with the same controls applied; mixCounts overrides the split of `count`
+export function selectWithControls(field, count, controls, { mixCounts } = {}) {
+    return selectQuestions(field, count, controls.filters, {
+        mixCounts: mixCounts || (controls.mix ? allocateMix(controls.mix, count) : null),
+        keywords: controls.keywords,
+        context: `${controls.jobDescription} ${controls.resume}`
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * Interview question generation shared by the Express server and the Vercel
+ * function. The configured LLM is asked for JSON matching QUESTION_SCHEMA;
+ * every question is validated, malformed or short replies are asked again,
+ * and whatever is still missing is topped up from the curated question bank.
+ */
+import { CATEGORIES, DIFFICULTIES, SENIORITIES } from './questionBank.js';
+import { allocateMix, controlsPrompt, requiresQuestionBank, selectWithControls } from './questionControls.js';
+import { completeJson, llmEnabled } from './llm/index.js';
+
+const MAX_ATTEMPTS = 3;
+const MIN_WORDS = 6;
+const MAX_WORDS = 60;
+
+const QUESTION_SCHEMA = {
+    title: 'interview_questions',
+    type: 'object',
+    required: ['questions'],
+    properties: {
+        questions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['text', 'category'],
+                properties: {
+                    text: { type: 'string' },
+                    category: { type: 'string', enum: CATEGORIES },
+                    difficulty: { type: 'string', enum: DIFFICULTIES },
+                    seniority: { type: 'string', enum: SENIORITIES }
+                }
+            }
+        }
+    }
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Returns why a generated question is unusable, or null when it is fine
+export function questionProblem(question, seen = new Set()) {
+    if (!question || typeof question.text !== 'string') return 'missing text';
+    const words = question.text.split(/\s+/).filter(Boolean).length;
+    if (words < MIN_WORDS) return `too short (${words} words)`;
+    if (words > MAX_WORDS) return `too long (${words} words)`;
+    if (!question.text.endsWith('?')) return 'does not end with "?"';
+    if (!CATEGORIES.includes(question.category)) return `unknown category "${question.category}"`;
+    if (seen.has(normalize(question.text))) return 'duplicate';
+    return null;
+}
+
+// Returns why a question misses the requested difficulty or seniority, or null when it fits
+function filterProblem(question, filters) {
+    if (filters.difficulty.length > 0 && !filters.difficulty.includes(question.difficulty)) {
+        return `difficulty ${question.difficulty || 'missing'}, asked for ${filters.difficulty.join(' or ')}`;
+    }
+    if (filters.seniority.length > 0 && !question.seniority.some(level => filters.seniority.includes(level))) {
+        return `seniority ${question.seniority[0] || 'missing'}, asked for ${filters.seniority.join(' or ')}`;
+    }
+    return null;
+}
+
+// quota: remaining questions wanted per category, when a mix was requested;
+// filters: the requested difficulty and seniority, which every question must match
+export function validateGeneratedQuestions(candidates, { seen = new Set(), quota = null, filters = null } = {}) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const candidate of Array.isArray(candidates) ? candidates : []) {
+        const question = candidate && typeof candidate === 'object' ? {
+            text: String(candidate.text || '').replace(/\s+/g, ' ').replace(/^\d+[.)]\s*/, '').trim(),
+            category: String(candidate.category || '').toLowerCase(),
+            difficulty: DIFFICULTIES.includes(candidate.difficulty) ? candidate.difficulty : null,
+            seniority: SENIORITIES.includes(candidate.seniority) ? [candidate.seniority] : []
+        } : null;
+
+        let problem = questionProblem(question, seen);
+        if (!problem && filters) problem = filterProblem(question, filters);
+        if (!problem && quota && !(quota[question.category] > 0)) problem = `more ${question.category} questions than the mix asks for`;
+        if (problem) {
+            rejected.push({ text: question?.text || null, reason: problem });
+            continue;
+        }
+
+        seen.add(normalize(question.text));
+        if (quota) quota[question.category]--;
+        accepted.push(question);
+    }
+    return { accepted, rejected };
+}
+
+function buildPrompt(field, count, controls, { mixCounts, avoid }) {
+    return `Generate exactly ${count} diverse, challenging interview questions for ${field} positions.
+
+Requirements:
+- Each question must be unique, specific to ${field} and end with a question mark
+- Each question should be 10-30 words long
+- Questions should be realistic and commonly asked in actual ${field} interviews
+- Vary question types: "Tell me about...", "How would you...", "Describe a time...", "What is your approach to...", etc.
+- Tag each question with its category (${CATEGORIES.join(', ')}), difficulty (${DIFFICULTIES.join(', ')}) and seniority (${SENIORITIES.join(', ')})
+${controlsPrompt(controls, mixCounts)}
+${avoid.length > 0 ? `\nDo not repeat any of these questions:\n${avoid.map(q => `- ${q}`).join('\n')}\n` : ''}
+Reply with JSON only: {"questions": [{"text": "...?", "category": "technical", "difficulty": "medium", "seniority": "mid"}]}`;
+}
+
+// Transport failures were already retried by the LLM client; only unusable replies are worth asking again
+async function requestQuestions(prompt) {
+    const reply = await completeJson({ prompt, schema: QUESTION_SCHEMA, temperature: 0.7, maxTokens: 1200, label: 'Question generation' });
+    if (!reply.json || !Array.isArray(reply.json.questions)) {
+        const error = new Error('Reply has no "questions" array');
+        error.code = 'LLM_MALFORMED';
+        throw error;
+    }
+    return reply;
+}
+
+const remainingQuota = (target, questions) => target && Object.fromEntries(Object.entries(target)
+    .map(([category, n]) => [category, n - questions.filter(q => q.category === category).length]));
+
+/**
+ * Resolves { questions: [{ text, category, difficulty, seniority, source, id? }], source, model, attempts, role, bankVersion, available, relaxed }.
+ * available is how many bank questions matched the filters; relaxed lists the filters the bank had to drop.
+ * source is the LLM provider (e.g. 'cohere'), 'question-bank', or '<provider>+question-bank' when the bank filled the gap.
+ */
+export async function generateQuestions(field, count, controls) {
+    const target = controls.mix ? allocateMix(controls.mix, count) : null;
+    const useModel = llmEnabled() && !requiresQuestionBank(controls);
+    const generated = [];
+    const seen = new Set();
+    let attempts = 0;
+    let provider = null;
+    let model = null;
+
+    while (useModel && generated.length < count && attempts < MAX_ATTEMPTS) {
+        attempts++;
+        const quota = remainingQuota(target, generated);
+        try {
+            const reply = await requestQuestions(buildPrompt(field, count - generated.length, controls, {
+                mixCounts: quota,
+                avoid: generated.map(q => q.text)
+            }));
+            ({ provider, model } = reply);
+            const { accepted, rejected } = validateGeneratedQuestions(reply.json.questions, { seen, quota, filters: controls.filters });
+            generated.push(...accepted.slice(0, count - generated.length).map(q => ({ ...q, source: provider })));
+            console.log(`🤖 Generation attempt ${attempts}: ${accepted.length} valid, ${rejected.length} rejected (${generated.length}/${count})`);
+            if (rejected.length > 0) console.warn('⚠️ Rejected questions:', rejected.map(r => `${r.reason}: ${r.text}`).join(' | '));
+        } catch (error) {
+            console.warn(`⚠️ Generation attempt ${attempts} failed:`, error.message);
+            if (error.code !== 'LLM_MALFORMED') break;
+        }
+    }
+
+    // Whatever the model could not supply comes from the bank, honoring the mix where possible
+    const missing = count - generated.length;
+    let bank = null;
+    if (missing > 0) {
+        const quota = remainingQuota(target, generated);
+        bank = selectWithControls(field, missing, controls, {
+            mixCounts: quota && Object.fromEntries(Object.entries(quota).map(([c, n]) => [c, Math.max(0, n)]))
+        });
+        const fill = bank.questions.filter(q => !seen.has(normalize(q.text)));
+        generated.push(...fill.map(q => ({ ...q, source: 'question-bank' })));
+    }
+
+    const fromModel = generated.filter(q => q.source !== 'question-bank').length;
+    return {
+        questions: generated,
+        source: fromModel === 0 ? 'question-bank' : fromModel < generated.length ? `${provider}+question-bank` : provider,
+        model: fromModel > 0 ? model : null,
+        attempts,
+        role: bank ? bank.role : null,
+        bankVersion: bank ? bank.version : null,
+        available: bank ? bank.available : null,
+        relaxed: bank ? bank.relaxed : []
+    };
+}
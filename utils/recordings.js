@@ -0,0 +1,66 @@
+/**
+ * Recordings kept for replay. Once an analysis finishes its upload is held,
+ * together with the analysis result, for an hour under its recordingId;
+ * saving the practice session stores that result and moves the upload into
+ * DATA_DIR/recordings, and deleting the session deletes it. Uploads that are
+ * never saved are removed when the hold expires.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './storage.js';
+
+const HOLD_TTL_MS = 60 * 60 * 1000;
+const RECORDINGS_DIR = path.resolve(DATA_DIR, 'recordings');
+
+const held = new Map();
+
+function discard(filePath) {
+    fs.rm(filePath, { force: true }).catch(error => console.warn('Recording cleanup error:', error.message));
+}
+
+// result: the analysis of this upload, which is what a saved session stores
+export function holdRecording(id, { filePath, mimetype, ownerId, result }) {
+    const timer = setTimeout(() => {
+        held.delete(id);
+        discard(filePath);
+    }, HOLD_TTL_MS);
+    timer.unref();
+    held.set(id, { filePath, mimetype, ownerId, result, timer });
+}
+
+// The server's own analysis of a held upload; null if the hold expired or belongs to someone else
+export function heldResult(id, ownerId) {
+    const recording = held.get(id);
+    return recording && recording.ownerId === ownerId ? recording.result : null;
+}
+
+// Moves a held upload next to its saved session; null if the hold expired or belongs to someone else
+export async function claimRecording(id, ownerId, sessionId) {
+    const recording = held.get(id);
+    if (!recording || recording.ownerId !== ownerId) return null;
+    held.delete(id);
+    clearTimeout(recording.timer);
+
+    const file = sessionId + path.extname(recording.filePath);
+    const target = path.join(RECORDINGS_DIR, file);
+    await fs.mkdir(RECORDINGS_DIR, { recursive: true });
+    try {
+        await fs.rename(recording.filePath, target);
+    } catch (error) {
+        // The upload directory and DATA_DIR may live on different filesystems
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(recording.filePath, target);
+        discard(recording.filePath);
+    }
+
+    const { size } = await fs.stat(target);
+    return { file, mimetype: recording.mimetype, size };
+}
+
+export function recordingPath(recording) {
+    return path.join(RECORDINGS_DIR, recording.file);
+}
+
+export async function deleteRecording(recording) {
+    if (recording) await fs.rm(recordingPath(recording), { force: true });
+}
@@ -0,0 +1,109 @@
+/**
+ * POST /api/analyze - upload a practice recording and analyze it. The
+ * Express server queues the work and answers 202 with a job to follow;
+ * a Vercel function cannot keep working after it responds, so there the
+ * same analysis runs inline and the result is the response body.
+ */
+import formidable from 'formidable';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { parseAnalysisOptions } from '../analysis/index.js';
+import { analyzeRecording } from '../pipeline.js';
+import { createJob } from '../jobs.js';
+import { holdRecording } from '../recordings.js';
+import { apiRoute, httpError, withAuth } from './http.js';
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || os.tmpdir();
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+function removeUpload(filePath) {
+    fs.rm(filePath, { force: true }, (error) => {
+        if (error) console.warn('⚠️ Upload cleanup error:', error.message);
+    });
+}
+
+// Multipart form with a `video` file plus field, questions, questionCount and markers
+async function parseUpload(req) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    const form = formidable({
+        uploadDir: UPLOAD_DIR,
+        keepExtensions: true,
+        maxFileSize: MAX_UPLOAD_BYTES,
+        filter: ({ name, mimetype }) => name === 'video' && Boolean(mimetype && mimetype.startsWith('video/'))
+    });
+
+    let fields, files;
+    try {
+        [fields, files] = await form.parse(req);
+    } catch (error) {
+        throw httpError('INVALID_UPLOAD', `Upload failed: ${error.message}`, error.httpCode || 400);
+    }
+
+    const video = files.video?.[0];
+    if (!video) {
+        throw httpError('MISSING_VIDEO', 'A video file is required', 400);
+    }
+    return {
+        video,
+        field: String(fields.field?.[0] || '').trim() || 'general',
+        options: parseAnalysisOptions({
+            questions: fields.questions?.[0],
+            questionCount: fields.questionCount?.[0],
+            markers: fields.markers?.[0]
+        })
+    };
+}
+
+// Analyzes the upload and holds it for replay until the session is saved
+async function runAnalysis({ video, field, options }, ownerId, recordingId, onStage) {
+    let held = false;
+    try {
+        const result = await analyzeRecording(video.filepath, field, options, { onStage });
+        console.log('✅ Analysis complete:', {
+            rating: result.analysis.rating,
+            mistakeCount: result.analysis.mistakes.length,
+            tipCount: result.analysis.tips.length
+        });
+
+        holdRecording(recordingId, {
+            filePath: video.filepath,
+            mimetype: video.mimetype,
+            ownerId,
+            result: { ...result, field, questions: options.questions }
+        });
+        held = true;
+        return { ...result, recordingId };
+    } finally {
+        if (!held) removeUpload(video.filepath);
+    }
+}
+
+// queue: run through the job queue and answer 202 (Express); otherwise analyze inline (Vercel)
+export function createAnalyzeRoute({ queue }) {
+    return apiRoute('Analysis', withAuth(async (req, res) => {
+        const upload = await parseUpload(req);
+        console.log('🎬 Processing video:', {
+            name: upload.video.originalFilename,
+            size: `${Math.round(upload.video.size / (1024 * 1024) * 10) / 10}MB`,
+            type: upload.video.mimetype,
+            field: upload.field,
+            questions: upload.options.questionCount,
+            markers: upload.options.markers.length
+        });
+
+        const recordingId = crypto.randomUUID();
+        if (!queue) {
+            return res.json(await runAnalysis(upload, req.user.id, recordingId, () => {}));
+        }
+
+        const job = createJob(onStage => runAnalysis(upload, req.user.id, recordingId, onStage), { ownerId: req.user.id });
+        console.log('📥 Analysis queued:', job.id);
+        res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
+    }));
+}
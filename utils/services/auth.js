@@ -0,0 +1,46 @@
+/**
+ * /api/auth/* - registration, sign-in, token refresh, the current session
+ * and logout. Tokens travel in the HTTP-only cookies set by middleware.js.
+ */
+import { registerUser, authenticateUser, createSession, refreshSession } from '../accounts/index.js';
+import { revokeRequestSession, setSessionCookies, clearSessionCookies, parseCookies, REFRESH_COOKIE } from '../accounts/middleware.js';
+import { apiRoute, withAuth } from './http.js';
+
+// Register signs the new user straight in
+export const registerRoute = apiRoute('Registration', async (req, res) => {
+    const user = await registerUser(req.body || {});
+    const tokens = await createSession(user);
+    setSessionCookies(res, tokens);
+    res.status(201).json({ user, expiresAt: tokens.expiresAt });
+});
+
+export const loginRoute = apiRoute('Login', async (req, res) => {
+    const user = await authenticateUser(req.body || {});
+    const tokens = await createSession(user);
+    setSessionCookies(res, tokens);
+    res.json({ user, expiresAt: tokens.expiresAt });
+});
+
+// Swap the refresh cookie for a fresh token pair
+export const refreshRoute = apiRoute('Refresh', async (req, res) => {
+    try {
+        const { user, ...tokens } = await refreshSession(parseCookies(req)[REFRESH_COOKIE]);
+        setSessionCookies(res, tokens);
+        res.json({ user, expiresAt: tokens.expiresAt });
+    } catch (error) {
+        if (error.status) clearSessionCookies(res);
+        throw error;
+    }
+});
+
+// Current user, for the frontend's checkAuth
+export const sessionRoute = apiRoute('Session', withAuth(async (req, res) => {
+    res.json({ user: req.user, expiresAt: req.authSession.expiresAt });
+}));
+
+// Logout revokes the session server-side, so copied tokens stop working too
+export const logoutRoute = apiRoute('Logout', async (req, res) => {
+    await revokeRequestSession(req);
+    clearSessionCookies(res);
+    res.json({ success: true });
+});
@@ -0,0 +1,59 @@
+/**
+ * The request/response plumbing shared by every service handler. Handlers
+ * are `(req, res)` functions that only use what Express and Vercel's Node
+ * runtime both provide (req.body, req.query, res.status().json(),
+ * res.setHeader), so server.js mounts them as routes and the files in api/
+ * wrap them with `vercelHandler`.
+ */
+import { authenticateRequest } from '../accounts/middleware.js';
+
+// details: extra fields for the JSON error body
+export function httpError(code, message, status, details = null) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+}
+
+// Errors with an HTTP status go to the client as-is (with any error.details); anything else is unexpected
+export function sendApiError(res, error, label) {
+    if (!error.status) console.error(`❌ ${label} error:`, error);
+    res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Server error',
+        code: error.code,
+        ...(error.status && error.details)
+    });
+}
+
+// Async handler that reports its own errors - Express 4 would drop a rejected promise
+export function apiRoute(label, handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            sendApiError(res, error, label);
+        }
+    };
+}
+
+// Runs the handler with req.user set, or answers 401
+export function withAuth(handler) {
+    return async (req, res) => {
+        await authenticateRequest(req);
+        return handler(req, res);
+    };
+}
+
+// One Vercel function serving the given { METHOD: handler } map
+export function vercelHandler(methods) {
+    return async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', `${Object.keys(methods).join(', ')}, OPTIONS`);
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') return res.status(200).end();
+        if (!methods[req.method]) return res.status(405).json({ error: 'Method not allowed' });
+        return methods[req.method](req, res);
+    };
+}
@@ -0,0 +1,79 @@
+/**
+ * POST /api/questions - interview questions for a field, shaped by the
+ * generation controls (filters, mix, job description/resume).
+ * POST /api/questions/followup - follow-ups that probe an answer just given.
+ */
+import { parseGenerationControls } from '../questionControls.js';
+import { generateQuestions } from '../questionGeneration.js';
+import { generateFollowups, MAX_FOLLOWUPS } from '../followups.js';
+import { apiRoute, httpError } from './http.js';
+
+const DEFAULT_COUNT = 7;
+const MAX_COUNT = 20;
+
+export const questionsRoute = apiRoute('Questions', async (req, res) => {
+    const body = req.body || {};
+    const field = String(body.field || '').trim();
+    const count = Math.max(1, Math.min(MAX_COUNT, Number(body.count) || DEFAULT_COUNT));
+
+    if (!field) {
+        throw httpError('MISSING_FIELD', 'field is required', 400);
+    }
+    const controls = parseGenerationControls(body);
+
+    console.log(`🤖 Generating ${count} questions for: ${field}`);
+
+    // Cohere when configured, validated and topped up from the question bank
+    const result = await generateQuestions(field, count, controls);
+    if (result.questions.length === 0) {
+        throw httpError('NO_MATCHING_QUESTIONS', 'No questions match these filters - try removing some of them', 422, {
+            available: result.available ?? 0
+        });
+    }
+    console.log(`🎯 Returning ${result.questions.length} questions (source: ${result.source}, attempts: ${result.attempts})`);
+
+    res.json({
+        questions: result.questions.map(q => q.text),
+        items: result.questions,
+        ai: result.source !== 'question-bank',
+        source: result.source,
+        model: result.model,
+        attempts: result.attempts,
+        role: result.role,
+        bankVersion: result.bankVersion,
+        field,
+        filters: controls.filters,
+        mix: controls.mix,
+        tailored: controls.keywords.length > 0,
+        relaxed: result.relaxed,
+        requested: count,
+        generated: result.questions.length
+    });
+});
+
+export const followupRoute = apiRoute('Follow-up questions', async (req, res) => {
+    const body = req.body || {};
+    const question = String(body.question || '').trim();
+    const answer = String(body.answer || '').trim();
+    const field = String(body.field || '').trim();
+    const count = Math.max(1, Math.min(MAX_FOLLOWUPS, Number(body.count) || MAX_FOLLOWUPS));
+
+    if (!question) {
+        throw httpError('MISSING_FIELD', 'question is required', 400);
+    }
+    if (!answer) {
+        throw httpError('MISSING_FIELD', 'answer is required', 400);
+    }
+
+    const result = await generateFollowups(question, answer, field, count);
+    console.log(`🔁 Returning ${result.followups.length} follow-up questions (source: ${result.source})`);
+
+    res.json({
+        followups: result.followups.map(f => f.text),
+        items: result.followups,
+        ai: result.source !== 'rules',
+        source: result.source,
+        model: result.model,
+        question
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * GET /api/debug and /api/health - quick checks that the API is up and
+ * which LLM provider is configured.
+ */
+import { llmStatus } from '../llm/index.js';
+
+export function debugRoute(req, res) {
+    res.json({
+        message: 'API is working!',
+        timestamp: new Date().toISOString(),
+        env: process.env.NODE_ENV || 'development',
+        cohere: !!process.env.COHERE_API_KEY,
+        llm: llmStatus(),
+        method: req.method
+    });
+}
+
+export function healthRoute(req, res) {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        env: process.env.NODE_ENV || 'development',
+        cohere: !!process.env.COHERE_API_KEY,
+        llm: llmStatus().provider
+    });
+}
@@ -0,0 +1,92 @@
+/**
+ * Minimal file-backed JSON collections under DATA_DIR (default ./data).
+ * Each collection is one JSON file (`{ "<name>": [records] }`), cached in
+ * memory. Writes are serialized and go through a temp file + rename so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+export function jsonCollection(name) {
+    const file = path.join(DATA_DIR, `${name}.json`);
+    let records = null;
+    let loading = null;
+    let writeChain = Promise.resolve();
+
+    // Concurrent first calls share one read so nobody ends up holding a stale array
+    function load() {
+        loading = loading || fs.readFile(file, 'utf8')
+            .then(text => JSON.parse(text)[name] || [])
+            .catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    loading = null;
+                    throw error;
+                }
+                return [];
+            })
+            .then((loaded) => {
+                records = loaded;
+                return records;
+            });
+        return records ? Promise.resolve(records) : loading;
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify({ [name]: records }, null, 2);
+        const write = writeChain.then(async () => {
+            await fs.mkdir(DATA_DIR, { recursive: true });
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, snapshot);
+            await fs.rename(tempFile, file);
+        });
+        // A failed write must not block the ones queued after it
+        writeChain = write.catch(() => {});
+        return write;
+    }
+
+    return {
+        async find(predicate) {
+            return (await load()).find(predicate) || null;
+        },
+
+        async filter(predicate) {
+            return (await load()).filter(predicate);
+        },
+
+        // With `unlessExists`, resolves null instead of inserting when a matching record is already stored
+        async insert(record, { unlessExists } = {}) {
+            const all = await load();
+            if (unlessExists && all.some(unlessExists)) return null;
+
+            all.push(record);
+            await persist();
+            return record;
+        },
+
+        // Applies changes to the first matching record; resolves null when nothing matched
+        async update(predicate, changes) {
+            const record = (await load()).find(predicate);
+            if (!record) return null;
+
+            Object.assign(record, changes);
+            await persist();
+            return record;
+        },
+
+        // Resolves with the number of records removed
+        async remove(predicate) {
+            const all = await load();
+            const kept = all.filter(r => !predicate(r));
+            const removed = all.length - kept.length;
+            if (removed > 0) {
+                records = kept;
+                await persist();
+            }
+            return removed;
+        }
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * AssemblyAI provider: uploads the video and polls until the transcript is ready.
+ */
+import fs from 'fs';
+import { normalizeTranscript, transcriptionError } from './transcript.js';
+
+const API_BASE = 'https://api.assemblyai.com/v2';
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLL_ATTEMPTS = 100; // ~5 minutes max
+
+export const name = 'assemblyai';
+
+export async function transcribe(videoPath, { onStage = () => {} } = {}) {
+    const apiKey = process.env.ASSEMBLYAI_API_KEY;
+
+    if (!apiKey) {
+        throw transcriptionError('ASSEMBLYAI_NOT_CONFIGURED', 'No transcription API key configured', 'Set ASSEMBLYAI_API_KEY or choose another TRANSCRIPTION_PROVIDER');
+    }
+
+    console.log('🎤 Uploading video to AssemblyAI...');
+    // AssemblyAI extracts the audio itself; the upload is our extraction step
+    onStage('audio-extraction', 'Uploading video to AssemblyAI');
+
+    // Read file as buffer (instead of stream for Vercel compatibility)
+    const fileBuffer = fs.readFileSync(videoPath);
+
+    const uploadResponse = await fetch(`${API_BASE}/upload`, {
+        method: 'POST',
+        headers: {
+            'Authorization': apiKey,
+            'Content-Type': 'application/octet-stream'
+        },
+        body: fileBuffer,
+        duplex: 'half' // Required for Vercel
+    });
+
+    if (!uploadResponse.ok) {
+        const errorText = await uploadResponse.text();
+        throw transcriptionError('ASSEMBLYAI_FAILED', `Upload failed: ${uploadResponse.status} ${errorText}`);
+    }
+
+    const { upload_url } = await uploadResponse.json();
+    console.log('📤 Video uploaded, starting transcription...');
+
+    const transcriptResponse = await fetch(`${API_BASE}/transcript`, {
+        method: 'POST',
+        headers: {
+            'Authorization': apiKey,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            audio_url: upload_url,
+            speaker_labels: true,
+            language_code: 'en',
+            punctuate: true,
+            format_text: true
+        })
+    });
+
+    if (!transcriptResponse.ok) {
+        const errorText = await transcriptResponse.text();
+        throw transcriptionError('ASSEMBLYAI_FAILED', `Transcription request failed: ${transcriptResponse.status} ${errorText}`);
+    }
+
+    const { id } = await transcriptResponse.json();
+    console.log('⏳ Transcription in progress, ID:', id);
+    onStage('transcription', 'Waiting for AssemblyAI');
+
+    let transcript;
+    let attempts = 0;
+
+    do {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+        const pollingResponse = await fetch(`${API_BASE}/transcript/${id}`, {
+            headers: { 'Authorization': apiKey }
+        });
+
+        if (!pollingResponse.ok) {
+            throw transcriptionError('ASSEMBLYAI_FAILED', `Polling failed: ${pollingResponse.status}`);
+        }
+
+        transcript = await pollingResponse.json();
+        console.log(`📊 Transcription status: ${transcript.status} (attempt ${attempts + 1}/${MAX_POLL_ATTEMPTS})`);
+        onStage('transcription', `AssemblyAI status: ${transcript.status}`);
+
+        attempts++;
+    } while ((transcript.status === 'processing' || transcript.status === 'queued') && attempts < MAX_POLL_ATTEMPTS);
+
+    if (transcript.status === 'error') {
+        throw transcriptionError('ASSEMBLYAI_FAILED', `Transcription failed: ${transcript.error || 'Unknown error'}`);
+    }
+    if (transcript.status !== 'completed') {
+        throw transcriptionError('ASSEMBLYAI_TIMEOUT', `Transcription timed out after ${MAX_POLL_ATTEMPTS} attempts`);
+    }
+
+    console.log('✅ AssemblyAI transcription successful!');
+
+    // AssemblyAI reports times in milliseconds
+    return normalizeTranscript({
+        text: transcript.text,
+        duration: transcript.audio_duration,
+        confidence: transcript.confidence,
+        segments: (transcript.utterances || []).map(u => ({
+            start: u.start / 1000,
+            end: u.end / 1000,
+            text: u.text,
+            speaker: u.speaker,
+            confidence: u.confidence,
+            words: (u.words || []).map(w => ({
+                word: w.text,
+                start: w.start / 1000,
+                end: w.end / 1000,
+                confidence: w.confidence
+            }))
+        }))
+    });
+}
@@ -0,0 +1,35 @@
+/**
+ * Deterministic provider for tests and offline demos. Returns the transcript
+ * in TRANSCRIPTION_FIXTURE (a JSON file path) or a built-in sample answer,
+ * ignoring the uploaded media entirely.
+ */
+import fs from 'fs';
+import { normalizeTranscript, transcriptionError } from './transcript.js';
+
+export const name = 'fixture';
+
+const SAMPLE_TRANSCRIPT = {
+    text: 'In my last role I led a team of four developers building a customer API in Node and React. Um, the main problem was that response times were over two seconds. I profiled the database queries, added caching with Redis and rewrote the slowest endpoints. As a result we reduced latency by 60% and supported 20 thousand users without adding servers.',
+    duration: 24,
+    confidence: 0.92,
+    segments: [
+        { start: 0, end: 6.2, text: 'In my last role I led a team of four developers building a customer API in Node and React.', speaker: 'A', confidence: 0.94 },
+        { start: 6.8, end: 11.5, text: 'Um, the main problem was that response times were over two seconds.', speaker: 'A', confidence: 0.9 },
+        { start: 12.1, end: 18.0, text: 'I profiled the database queries, added caching with Redis and rewrote the slowest endpoints.', speaker: 'A', confidence: 0.93 },
+        { start: 18.4, end: 24.0, text: 'As a result we reduced latency by 60% and supported 20 thousand users without adding servers.', speaker: 'A', confidence: 0.91 }
+    ]
+};
+
+export async function transcribe(videoPath, { onStage = () => {} } = {}) {
+    onStage('transcription', 'Loading fixture transcript');
+    const fixturePath = process.env.TRANSCRIPTION_FIXTURE;
+    if (!fixturePath) {
+        return normalizeTranscript(SAMPLE_TRANSCRIPT);
+    }
+
+    try {
+        return normalizeTranscript(JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+    } catch (error) {
+        throw transcriptionError('FIXTURE_UNREADABLE', `Could not load transcript fixture ${fixturePath}: ${error.message}`);
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Transcription provider registry. Every provider exposes `name` and
+ * `transcribe(videoPath, { onStage })` resolving to the shape documented in
+ * transcript.js. `onStage(stage, detail)` reports 'audio-extraction' and
+ * 'transcription' progress for the job queue.
+ *
+ * TRANSCRIPTION_PROVIDER selects one of: whisper, assemblyai, fixture.
+ * When unset, AssemblyAI is used if ASSEMBLYAI_API_KEY is present, otherwise local Whisper.
+ */
+import * as whisper from './whisper.js';
+import * as assemblyai from './assemblyai.js';
+import * as fixture from './fixture.js';
+import { transcriptionError } from './transcript.js';
+
+const providers = { whisper, assemblyai, fixture };
+
+export function getTranscriptionProvider(providerName = process.env.TRANSCRIPTION_PROVIDER) {
+    const selected = (providerName || (process.env.ASSEMBLYAI_API_KEY ? 'assemblyai' : 'whisper')).trim().toLowerCase();
+    const provider = providers[selected];
+
+    if (!provider) {
+        throw transcriptionError(
+            'UNKNOWN_TRANSCRIPTION_PROVIDER',
+            `Unknown transcription provider "${selected}"`,
+            `Set TRANSCRIPTION_PROVIDER to one of: ${Object.keys(providers).join(', ')}`
+        );
+    }
+    return provider;
+}
+
+export async function transcribeVideo(videoPath, providerName, { onStage = () => {} } = {}) {
+    const provider = getTranscriptionProvider(providerName);
+    console.log(`🎤 Transcribing with provider: ${provider.name}`);
+
+    const transcript = await provider.transcribe(videoPath, { onStage });
+    return { ...transcript, provider: provider.name };
+}
+
+// Plain object for JSON responses
+export function describeTranscriptionError(error) {
+    return {
+        code: error.code || 'TRANSCRIPTION_FAILED',
+        message: error.message,
+        hint: error.hint
+    };
+}
+
+export { normalizeTranscript } from './transcript.js';
@@ -0,0 +1,41 @@
+/**
+ * Shared transcript shape returned by every transcription provider:
+ * { text, duration, confidence, segments: [{ start, end, text, speaker, confidence, words? }] }
+ * where words (when the provider supports it) is [{ word, start, end, confidence }].
+ * Times are in seconds.
+ */
+
+export function transcriptionError(code, message, hint) {
+    const error = new Error(message);
+    error.code = code;
+    if (hint) error.hint = hint;
+    return error;
+}
+
+export function normalizeTranscript(raw) {
+    const segments = (raw.segments || []).map(seg => {
+        const segment = {
+            start: Number(seg.start) || 0,
+            end: Number(seg.end) || 0,
+            text: (seg.text || '').trim(),
+            speaker: seg.speaker || null,
+            confidence: typeof seg.confidence === 'number' ? seg.confidence : null
+        };
+        if (Array.isArray(seg.words) && seg.words.length > 0) {
+            segment.words = seg.words.map(w => ({
+                word: String(w.word ?? w.text ?? '').trim(),
+                start: Number(w.start) || 0,
+                end: Number(w.end) || 0,
+                confidence: typeof w.confidence === 'number' ? w.confidence : null
+            })).filter(w => w.word);
+        }
+        return segment;
+    });
+
+    return {
+        text: (raw.text || '').trim(),
+        duration: Number(raw.duration) || (segments.length ? segments[segments.length - 1].end : 0),
+        confidence: typeof raw.confidence === 'number' ? raw.confidence : 0,
+        segments
+    };
+}
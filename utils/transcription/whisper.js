@@ -0,0 +1,92 @@
+/**
+ * Local Whisper provider: extracts audio with ffmpeg, then runs
+ * transcribe_whisper.py and reads its JSON output.
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractAudio } from '../media.js';
+import { normalizeTranscript, transcriptionError } from './transcript.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'transcribe_whisper.py');
+const PYTHON_BIN = process.env.WHISPER_PYTHON || (process.platform === 'win32' ? 'python' : 'python3');
+const TIMEOUT_MS = Number(process.env.WHISPER_TIMEOUT_MS) || 10 * 60 * 1000;
+
+export const name = 'whisper';
+
+export async function transcribe(videoPath, { onStage = () => {} } = {}) {
+    const audioPath = `${videoPath}.wav`;
+    try {
+        console.log('Extracting audio with ffmpeg...');
+        onStage('audio-extraction', 'Extracting audio with ffmpeg');
+        await extractAudio(videoPath, audioPath);
+
+        console.log('Transcribing audio with local Whisper...');
+        onStage('transcription', 'Transcribing with local Whisper');
+        return await runWhisper(audioPath);
+    } finally {
+        fs.rm(audioPath, { force: true }, () => {});
+    }
+}
+
+function runWhisper(audioPath) {
+    const outputPath = `${audioPath}.json`;
+
+    return new Promise((resolve, reject) => {
+        let stderr = '';
+        let timedOut = false;
+
+        const proc = spawn(PYTHON_BIN, [SCRIPT_PATH, audioPath, '--output', outputPath], {
+            stdio: ['ignore', 'ignore', 'pipe']
+        });
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            proc.kill();
+        }, TIMEOUT_MS);
+
+        proc.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+
+        proc.on('error', (error) => {
+            clearTimeout(timer);
+            if (error.code === 'ENOENT') {
+                reject(transcriptionError(
+                    'PYTHON_NOT_FOUND',
+                    `Python interpreter not found (${PYTHON_BIN})`,
+                    'Install Python 3.8+ and make sure it is on PATH, or set WHISPER_PYTHON'
+                ));
+            } else {
+                reject(transcriptionError('WHISPER_FAILED', `Failed to start Whisper: ${error.message}`));
+            }
+        });
+
+        proc.on('close', (code) => {
+            clearTimeout(timer);
+            const lastLine = stderr.trim().split('\n').pop() || '';
+
+            if (timedOut) {
+                return reject(transcriptionError('WHISPER_TIMEOUT', `Whisper transcription timed out after ${Math.round(TIMEOUT_MS / 1000)}s`, 'Try a shorter recording or a smaller WHISPER_MODEL'));
+            }
+            // Exit codes are defined by transcribe_whisper.py
+            if (code === 2) {
+                return reject(transcriptionError('WHISPER_NOT_INSTALLED', 'The openai-whisper Python package is not installed', 'Run: pip install -U openai-whisper'));
+            }
+            if (code !== 0) {
+                return reject(transcriptionError('WHISPER_FAILED', `Whisper exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+            }
+
+            try {
+                const raw = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+                resolve(normalizeTranscript(raw));
+            } catch (error) {
+                reject(transcriptionError('WHISPER_BAD_OUTPUT', `Could not read Whisper transcript: ${error.message}`));
+            } finally {
+                fs.rm(outputPath, { force: true }, () => {});
+            }
+        });
+    });
+}